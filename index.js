@@ -28,8 +28,26 @@ const UserHelper = require('./lib/helper/User');
 const TokenRulesHelper = require('./lib/helper/TokenRules');
 const TokenHolderHelper = require('./lib/helper/TokenHolder');
 const Rules = require('./lib/setup/Rules');
+const Economy = require('./lib/setup/Economy');
+const DeploymentManifest = require('./lib/setup/DeploymentManifest');
+const CostReport = require('./lib/setup/CostReport');
 const PricerRule = require('./lib/helper/rules/PricerRule');
 const GnosisSafeHelper = require('./lib/helper/GnosisSafe');
+const UserWallet = require('./lib/helper/UserWallet');
+const WalletDiscovery = require('./lib/helper/WalletDiscovery');
+const Recovery = require('./lib/helper/Recovery');
+const WalletValidator = require('./lib/helper/WalletValidator');
+const SessionKeyNonceTracker = require('./lib/helper/SessionKeyNonceTracker');
+const SessionExpiry = require('./lib/helper/SessionExpiry');
+const ExecuteRulePreflight = require('./lib/helper/ExecuteRulePreflight');
+const SessionKeyStore = require('./lib/helper/SessionKeyStore');
+const DevicePairing = require('./lib/helper/DevicePairing');
+const TransactionExplainer = require('./lib/helper/TransactionExplainer');
+const RuleRegistry = require('./lib/helper/RuleRegistry');
+const ValidationError = require('./lib/errors/ValidationError');
+const MemoryStorage = require('./lib/storage/MemoryStorage');
+const FileStorage = require('./lib/storage/FileStorage');
+const KeyValueStorage = require('./lib/storage/KeyValueStorage');
 
 const SignEIP1077Extension = require('./utils/SignEIP1077Extension');
 new SignEIP1077Extension();
@@ -40,15 +58,37 @@ module.exports = {
   Setup: {
     TokenRules: TokenRules,
     User: User,
-    Rules: Rules
+    Rules: Rules,
+    Economy: Economy,
+    DeploymentManifest: DeploymentManifest,
+    CostReport: CostReport
   },
   Helpers: {
     User: UserHelper,
     TokenRules: TokenRulesHelper,
     TokenHolder: TokenHolderHelper,
     GnosisSafe: GnosisSafeHelper,
+    UserWallet: UserWallet,
+    WalletDiscovery: WalletDiscovery,
+    Recovery: Recovery,
+    WalletValidator: WalletValidator,
+    SessionKeyNonceTracker: SessionKeyNonceTracker,
+    SessionExpiry: SessionExpiry,
+    SessionKeyStore: SessionKeyStore,
+    DevicePairing: DevicePairing,
+    TransactionExplainer: TransactionExplainer,
+    RuleRegistry: RuleRegistry,
+    ExecuteRulePreflight: ExecuteRulePreflight,
     Rules: {
       PricerRule: PricerRule
     }
+  },
+  Errors: {
+    ValidationError: ValidationError
+  },
+  Storage: {
+    MemoryStorage: MemoryStorage,
+    FileStorage: FileStorage,
+    KeyValueStorage: KeyValueStorage
   }
 };
@@ -0,0 +1,64 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+/**
+ * Error raised when input of a helper is invalid. It is raised before any transaction is sent.
+ */
+class ValidationError extends Error {
+  /**
+   * Constructor of ValidationError.
+   *
+   * @param code Error code. One of ValidationError.Codes.
+   * @param field Name of the invalid input.
+   * @param message Description of the error.
+   */
+  constructor(code, field, message) {
+    super(message);
+
+    const oThis = this;
+
+    oThis.name = 'ValidationError';
+    oThis.code = code;
+    oThis.field = field;
+  }
+}
+
+ValidationError.Codes = {
+  invalidAddress: 'InvalidAddress',
+  duplicateAddress: 'DuplicateAddress',
+  lengthMismatch: 'LengthMismatch',
+  invalidThreshold: 'InvalidThreshold',
+  invalidAmount: 'InvalidAmount',
+  invalidData: 'InvalidData',
+  expiredHeight: 'ExpiredHeight',
+  invalidExpiry: 'InvalidExpiry',
+  invalidSignature: 'InvalidSignature',
+  unsupportedVersion: 'UnsupportedVersion',
+  expiredRequest: 'ExpiredRequest',
+  sessionKeyExists: 'SessionKeyExists',
+  ruleNotRegistered: 'RuleNotRegistered',
+  unknownMethod: 'UnknownMethod',
+  invalidArgument: 'InvalidArgument',
+  invalidEconomyConfig: 'InvalidEconomyConfig'
+};
+
+module.exports = ValidationError;
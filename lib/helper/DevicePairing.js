@@ -0,0 +1,307 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const GnosisSafe = require('./GnosisSafe'),
+  TokenHolder = require('./TokenHolder'),
+  WalletValidator = require('./WalletValidator'),
+  ValidationError = require('./../errors/ValidationError');
+
+// Version of the session request payload.
+const SessionRequestVersion = 1;
+
+const SessionRequestURIPrefix = 'openst:session-request?payload=';
+
+// Session requests older than this many seconds are rejected by default.
+const DefaultMaxRequestAge = 15 * 60;
+
+// Session requests issued up to this many seconds in the future are accepted, to allow for clock skew between devices.
+const MaxClockSkew = 60;
+
+/**
+ * Pairing of a new device with a user wallet.
+ *
+ * The new device generates a session key and produces a signed session request, see
+ * createSessionRequest. The request is transferred to a device of an owner, e.g. scanned
+ * from a QR code of toURI. Owner side validates the request and authorizes the session key
+ * on the token holder with a gnosis safe transaction.
+ *
+ * Session request consists:
+ *  - version: Version of the payload. Only version 1 is supported.
+ *  - tokenHolderProxy: TokenHolder proxy on which session is requested.
+ *  - sessionKey: Session key address.
+ *  - spendingLimit: Requested spending limit.
+ *  - expiry: Requested expiry. Expiration height, { duration: seconds } or { deadline: unix seconds },
+ *            see SessionExpiry.
+ *  - deviceName: Optional name of the device shown to the owner.
+ *  - issuedAt: Unix timestamp in seconds at which request was created.
+ *  - signature: Signature of the request by the session key, it proves possession of the key.
+ */
+class DevicePairing {
+  /**
+   * Constructor of DevicePairing.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param gnosisSafeProxy Gnosis safe proxy address of the user.
+   * @param tokenHolderProxy TokenHolder proxy address of the user.
+   */
+  constructor(auxiliaryWeb3, gnosisSafeProxy, tokenHolderProxy) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.gnosisSafeProxy = gnosisSafeProxy;
+    oThis.tokenHolderProxy = tokenHolderProxy;
+    oThis.gnosisSafe = new GnosisSafe(gnosisSafeProxy, auxiliaryWeb3);
+    oThis.tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderProxy);
+    oThis.walletValidator = new WalletValidator(auxiliaryWeb3);
+  }
+
+  /**
+   * It creates a session request signed by the session key. It is used on the new device.
+   *
+   * @param sessionKey Session key account which has address and sign method e.g. web3 account.
+   * @param tokenHolderProxy TokenHolder proxy address on which session is requested.
+   * @param spendingLimit Requested spending limit.
+   * @param expiry Requested expiry. Expiration height, { duration: seconds } or { deadline: date }.
+   * @param deviceName Optional name of the device.
+   *
+   * @returns {Object} Session request. It throws ValidationError if expiry is not given.
+   */
+  static createSessionRequest(sessionKey, tokenHolderProxy, spendingLimit, expiry, deviceName) {
+    if (expiry === undefined || expiry === null) {
+      throw new ValidationError(ValidationError.Codes.invalidExpiry, 'expiry', 'Expiry of the session is not given.');
+    }
+
+    if (expiry.deadline instanceof Date) {
+      expiry = { deadline: Math.floor(expiry.deadline.getTime() / 1000) };
+    }
+
+    const request = {
+      version: SessionRequestVersion,
+      tokenHolderProxy: tokenHolderProxy,
+      sessionKey: sessionKey.address,
+      spendingLimit: spendingLimit.toString(10),
+      expiry: expiry.duration !== undefined || expiry.deadline !== undefined ? expiry : expiry.toString(10),
+      deviceName: deviceName || null,
+      issuedAt: Math.floor(Date.now() / 1000)
+    };
+
+    request.signature = sessionKey.sign(DevicePairing.getSessionRequestMessage(request)).signature;
+
+    return request;
+  }
+
+  /**
+   * It returns message of a session request which is signed by the session key.
+   *
+   * @param request Session request.
+   *
+   * @returns {String} Message.
+   */
+  static getSessionRequestMessage(request) {
+    return JSON.stringify([
+      request.version,
+      String(request.tokenHolderProxy).toLowerCase(),
+      String(request.sessionKey).toLowerCase(),
+      request.spendingLimit,
+      request.expiry,
+      request.deviceName,
+      request.issuedAt
+    ]);
+  }
+
+  /**
+   * It encodes a session request as URI, e.g. to be shown as QR code.
+   *
+   * @param request Session request.
+   *
+   * @returns {String} URI.
+   */
+  static toURI(request) {
+    return SessionRequestURIPrefix + encodeURIComponent(JSON.stringify(request));
+  }
+
+  /**
+   * It decodes a session request from URI.
+   *
+   * @param uri URI returned by toURI.
+   *
+   * @returns {Object} Session request. It throws ValidationError if URI is not a session request.
+   */
+  static fromURI(uri) {
+    if (typeof uri !== 'string' || uri.indexOf(SessionRequestURIPrefix) !== 0) {
+      throw new ValidationError(ValidationError.Codes.invalidData, 'uri', 'URI is not a session request.');
+    }
+
+    try {
+      return JSON.parse(decodeURIComponent(uri.slice(SessionRequestURIPrefix.length)));
+    } catch (error) {
+      throw new ValidationError(ValidationError.Codes.invalidData, 'uri', 'Session request payload is malformed.');
+    }
+  }
+
+  /**
+   * It validates a session request on the owner side. It checks version, token holder, proof of key
+   * possession, age of the request, and that the session key was never authorized on the token holder.
+   * Expiry is converted to expiration height, see SessionExpiry.
+   *
+   * @param request Session request.
+   * @param maxRequestAge Optional maximum age of the request in seconds. Defaults to 15 minutes.
+   *
+   * @returns {Promise<Object>} Session to authorize with sessionKey, spendingLimit and expirationHeight.
+   *                            It is rejected with ValidationError if the request is invalid.
+   */
+  async validateSessionRequest(request, maxRequestAge) {
+    const oThis = this;
+
+    if (!request || request.version !== SessionRequestVersion) {
+      throw new ValidationError(
+        ValidationError.Codes.unsupportedVersion,
+        'version',
+        'Session request version: ' + (request && request.version) + ' is not supported.'
+      );
+    }
+
+    if (String(request.tokenHolderProxy).toLowerCase() !== oThis.tokenHolderProxy.toLowerCase()) {
+      throw new ValidationError(
+        ValidationError.Codes.invalidAddress,
+        'tokenHolderProxy',
+        'Session is requested on token holder: ' + request.tokenHolderProxy + ' instead of: ' + oThis.tokenHolderProxy
+      );
+    }
+
+    const signer = oThis._recoverSigner(request);
+    if (!signer || signer.toLowerCase() !== String(request.sessionKey).toLowerCase()) {
+      throw new ValidationError(
+        ValidationError.Codes.invalidSignature,
+        'signature',
+        'Session request is not signed by session key: ' + request.sessionKey
+      );
+    }
+
+    const age = Math.floor(Date.now() / 1000) - Number(request.issuedAt),
+      maxAge = maxRequestAge || DefaultMaxRequestAge;
+    if (age < -MaxClockSkew) {
+      throw new ValidationError(
+        ValidationError.Codes.invalidData,
+        'issuedAt',
+        'Session request is issued ' + -age + ' seconds in the future.'
+      );
+    }
+    if (!(age <= maxAge)) {
+      throw new ValidationError(
+        ValidationError.Codes.expiredRequest,
+        'issuedAt',
+        'Session request is ' + age + ' seconds old, maximum age is ' + maxAge + ' seconds.'
+      );
+    }
+
+    const expirationHeight = await oThis.tokenHolder.sessionExpiry.getExpirationHeight(request.expiry);
+
+    await oThis.walletValidator.validateSessionKeys([request.sessionKey], [request.spendingLimit], [expirationHeight]);
+
+    const sessionKeyData = await oThis.tokenHolder.getSessionKeyData(request.sessionKey);
+    if (sessionKeyData.status.toString() !== TokenHolder.AuthorizationStatus.notAuthorized) {
+      throw new ValidationError(
+        ValidationError.Codes.sessionKeyExists,
+        'sessionKey',
+        'Session key: ' + request.sessionKey + ' was already authorized on token holder: ' + oThis.tokenHolderProxy
+      );
+    }
+
+    return {
+      sessionKey: request.sessionKey,
+      spendingLimit: request.spendingLimit,
+      expirationHeight: expirationHeight
+    };
+  }
+
+  /**
+   * It validates a session request and returns the safe transaction which authorizes the session key.
+   * See GnosisSafe.getSafeTransactions.
+   *
+   * @param request Session request.
+   * @param maxRequestAge Optional maximum age of the request in seconds.
+   *
+   * @returns {Promise<Object>} Safe transaction with session, the validated session to authorize.
+   */
+  async getPairingTransaction(request, maxRequestAge) {
+    const oThis = this;
+
+    const session = await oThis.validateSessionRequest(request, maxRequestAge),
+      transactions = await oThis.gnosisSafe.getSafeTransactions([
+        {
+          to: oThis.tokenHolderProxy,
+          data: oThis.tokenHolder.getAuthorizeSessionExecutableData(
+            session.sessionKey,
+            session.spendingLimit,
+            session.expirationHeight
+          )
+        }
+      ]);
+
+    return Object.assign(transactions[0], { session: session });
+  }
+
+  /**
+   * It validates a session request and authorizes the session key through the gnosis safe.
+   *
+   * @param request Session request.
+   * @param signers Owner accounts which sign the safe transaction. Signer should have address
+   *                and signEIP712TypedData method e.g. web3 wallet account.
+   * @param txOptions Tx options.
+   * @param maxRequestAge Optional maximum age of the request in seconds.
+   *
+   * @returns {Promise<Object>} Transaction receipt.
+   */
+  async pair(request, signers, txOptions, maxRequestAge) {
+    const oThis = this;
+
+    const transaction = await oThis.getPairingTransaction(request, maxRequestAge),
+      signedTransactions = await oThis.gnosisSafe.signSafeTransactions([transaction], signers),
+      receipts = await oThis.gnosisSafe.executeSafeTransactions(signedTransactions, txOptions);
+
+    return receipts[0];
+  }
+
+  /**
+   * It recovers signer of a session request.
+   *
+   * @param request Session request.
+   *
+   * @returns {String|null} Signer address.
+   * @private
+   */
+  _recoverSigner(request) {
+    const oThis = this;
+
+    try {
+      return oThis.auxiliaryWeb3.eth.accounts.recover(
+        DevicePairing.getSessionRequestMessage(request),
+        request.signature
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = DevicePairing;
@@ -0,0 +1,424 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const Account = require('eth-lib/lib/account'),
+  Web3Utils = require('web3-utils'),
+  AbiBinProvider = require('./../AbiBinProvider'),
+  TokenHolder = require('./TokenHolder'),
+  TokenRules = require('./TokenRules');
+
+// Adds EIP-1077 transaction hashing to web3-utils.
+require('./../../utils/SignEIP1077Extension');
+
+const TokenHolderContractName = 'TokenHolder',
+  TokenRulesContractName = 'TokenRules';
+
+const IssueCode = {
+  sessionNotAuthorized: 'SessionNotAuthorized',
+  sessionRevoked: 'SessionRevoked',
+  sessionExpired: 'SessionExpired',
+  invalidNonce: 'InvalidNonce',
+  invalidSignature: 'InvalidSignature',
+  spendingLimitExceeded: 'SpendingLimitExceeded',
+  ruleNotRegistered: 'RuleNotRegistered',
+  directTransfersDisabled: 'DirectTransfersDisabled',
+  insufficientBalance: 'InsufficientBalance',
+  executionReverted: 'ExecutionReverted',
+  ruleExecutionFailed: 'RuleExecutionFailed'
+};
+
+/**
+ * Pre-flight check of an executeRule transaction. It checks the common causes of failure and
+ * simulates the exact executeRule call with eth_call from the facilitator, so that a failing
+ * execution is diagnosed before gas is spent.
+ */
+class ExecuteRulePreflight {
+  /**
+   * Constructor of ExecuteRulePreflight.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param ruleRegistry Optional RuleRegistry. Rules are looked up in it first if it belongs to the token rules
+   *                     of the token holder.
+   */
+  constructor(auxiliaryWeb3, tokenHolderProxy, ruleRegistry) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.tokenHolderProxy = tokenHolderProxy;
+    oThis.ruleRegistry = ruleRegistry || null;
+    oThis.tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderProxy);
+    oThis.abiBinProvider = new AbiBinProvider();
+  }
+
+  /**
+   * It diagnoses a signed executeRule transaction.
+   *
+   * Diagnosis consists:
+   *  - ok: True if no issue is found and the simulation succeeds.
+   *  - issues: List of { code, message }. Codes are listed in ExecuteRulePreflight.IssueCode.
+   *  - simulation: { reverted, executionStatus }. executionStatus is false if the rule call failed
+   *                inside the token holder.
+   *
+   * @param sessionKey Session key address which signed the transaction.
+   * @param signedTransaction Signed transaction, see TokenHolder.signExecuteRule.
+   * @param txOptions Tx options of the facilitator which is going to submit the transaction.
+   * @param amount Optional token amount the execution transfers. It is derived for direct transfers.
+   *
+   * @returns {Promise<Object>} Diagnosis.
+   */
+  async diagnose(sessionKey, signedTransaction, txOptions, amount) {
+    const oThis = this;
+
+    const issues = [],
+      web3 = oThis.auxiliaryWeb3,
+      blockNumber = await web3.eth.getBlockNumber(),
+      sessionKeyData = await oThis.tokenHolder.getSessionKeyData(sessionKey),
+      tokenRules = await oThis._getTokenRules();
+
+    const status = sessionKeyData.status.toString();
+    if (status === TokenHolder.AuthorizationStatus.notAuthorized) {
+      issues.push(oThis._issue(IssueCode.sessionNotAuthorized, 'Session key: ' + sessionKey + ' is not authorized.'));
+    } else if (status === TokenHolder.AuthorizationStatus.revoked) {
+      issues.push(oThis._issue(IssueCode.sessionRevoked, 'Session key: ' + sessionKey + ' is revoked.'));
+    } else if (Web3Utils.toBN(sessionKeyData.expirationHeight).lte(Web3Utils.toBN(blockNumber + 1))) {
+      issues.push(
+        oThis._issue(
+          IssueCode.sessionExpired,
+          'Session key expired at block: ' + sessionKeyData.expirationHeight + ', current block: ' + blockNumber + '.'
+        )
+      );
+    }
+
+    if (sessionKeyData.nonce.toString() !== signedTransaction.nonce.toString()) {
+      issues.push(
+        oThis._issue(
+          IssueCode.invalidNonce,
+          'Transaction nonce: ' + signedTransaction.nonce + ', expected nonce: ' + sessionKeyData.nonce + '.'
+        )
+      );
+    }
+
+    const signer = oThis._recoverSigner(signedTransaction);
+    if (!signer || signer.toLowerCase() !== sessionKey.toLowerCase()) {
+      issues.push(oThis._issue(IssueCode.invalidSignature, 'Transaction is signed by: ' + signer + '.'));
+    }
+
+    issues.push.apply(issues, await oThis._checkRule(tokenRules, signedTransaction.to, signedTransaction.data));
+
+    if (amount === undefined || amount === null) {
+      amount = oThis._getDirectTransfersAmount(tokenRules, signedTransaction.to, signedTransaction.data);
+    }
+    if (amount !== null) {
+      issues.push.apply(issues, await oThis._checkAmount(amount, sessionKeyData.spendingLimit, tokenRules));
+    }
+
+    const simulation = await oThis._simulate(signedTransaction, txOptions);
+    if (simulation.reverted) {
+      issues.push(oThis._issue(IssueCode.executionReverted, 'executeRule reverts: ' + simulation.error));
+    } else if (!simulation.executionStatus) {
+      issues.push(oThis._issue(IssueCode.ruleExecutionFailed, 'Rule call fails inside the token holder.'));
+    }
+
+    return {
+      ok: issues.length === 0,
+      issues: issues,
+      simulation: simulation
+    };
+  }
+
+  /**
+   * It checks that the target is token rules or a rule registered in it, and that direct transfers
+   * are enabled for direct transfer executions.
+   *
+   * @param tokenRules TokenRules contract address of the token holder.
+   * @param to Target address of the execution.
+   * @param data Executable data.
+   *
+   * @returns {Promise<Array>} Issues.
+   * @private
+   */
+  async _checkRule(tokenRules, to, data) {
+    const oThis = this;
+
+    if (to.toLowerCase() !== tokenRules.toLowerCase()) {
+      const ruleRegistry =
+          oThis.ruleRegistry && oThis.ruleRegistry.tokenRules.toLowerCase() === tokenRules.toLowerCase()
+            ? oThis.ruleRegistry
+            : null,
+        rule = await new TokenRules(tokenRules, oThis.auxiliaryWeb3, ruleRegistry).findRuleByAddress(to);
+
+      return rule
+        ? []
+        : [oThis._issue(IssueCode.ruleNotRegistered, 'Rule: ' + to + ' is not registered in token rules.')];
+    }
+
+    const directTransfersSelector = oThis
+      ._getTokenRulesContract(tokenRules)
+      .methods.directTransfers([], [])
+      .encodeABI()
+      .slice(0, 10);
+    if (data.slice(0, 10) === directTransfersSelector) {
+      const enabled = await oThis
+        ._getTokenRulesContract(tokenRules)
+        .methods.areDirectTransfersEnabled()
+        .call();
+      if (!enabled) {
+        return [oThis._issue(IssueCode.directTransfersDisabled, 'Direct transfers are disabled in token rules.')];
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * It checks the amount against the spending limit and the token balance of the token holder.
+   *
+   * @param amount Token amount of the execution.
+   * @param spendingLimit Spending limit of the session key.
+   * @param tokenRules TokenRules contract address.
+   *
+   * @returns {Promise<Array>} Issues.
+   * @private
+   */
+  async _checkAmount(amount, spendingLimit, tokenRules) {
+    const oThis = this;
+
+    const issues = [],
+      amountBN = Web3Utils.toBN(amount);
+
+    if (amountBN.gt(Web3Utils.toBN(spendingLimit))) {
+      issues.push(
+        oThis._issue(
+          IssueCode.spendingLimitExceeded,
+          'Amount: ' + amountBN.toString(10) + ' exceeds spending limit: ' + spendingLimit + '.'
+        )
+      );
+    }
+
+    const token = await oThis
+        ._getTokenRulesContract(tokenRules)
+        .methods.token()
+        .call(),
+      balance = await oThis._getTokenBalance(token);
+    if (amountBN.gt(Web3Utils.toBN(balance))) {
+      issues.push(
+        oThis._issue(
+          IssueCode.insufficientBalance,
+          'Amount: ' + amountBN.toString(10) + ' exceeds token holder balance: ' + balance + '.'
+        )
+      );
+    }
+
+    return issues;
+  }
+
+  /**
+   * It simulates executeRule with eth_call.
+   *
+   * @param signedTransaction Signed transaction.
+   * @param txOptions Tx options of the facilitator.
+   *
+   * @returns {Promise<Object>} Simulation result with reverted, executionStatus and error.
+   * @private
+   */
+  async _simulate(signedTransaction, txOptions) {
+    const oThis = this;
+
+    const txObject = oThis
+      ._getTokenHolderContract()
+      .methods.executeRule(
+        signedTransaction.to,
+        signedTransaction.data,
+        signedTransaction.nonce,
+        signedTransaction.r,
+        signedTransaction.s,
+        signedTransaction.v
+      );
+
+    try {
+      const executionStatus = await txObject.call(txOptions);
+      return {
+        reverted: false,
+        executionStatus: executionStatus,
+        error: null
+      };
+    } catch (error) {
+      return {
+        reverted: true,
+        executionStatus: null,
+        error: error.message || String(error)
+      };
+    }
+  }
+
+  /**
+   * It returns total amount of direct transfers, or null if the execution is not a direct transfer.
+   *
+   * @param tokenRules TokenRules contract address.
+   * @param to Target address of the execution.
+   * @param data Executable data.
+   *
+   * @returns {String|null} Amount.
+   * @private
+   */
+  _getDirectTransfersAmount(tokenRules, to, data) {
+    const oThis = this;
+
+    const directTransfersData = oThis
+      ._getTokenRulesContract(tokenRules)
+      .methods.directTransfers([], [])
+      .encodeABI();
+
+    if (to.toLowerCase() !== tokenRules.toLowerCase() || data.slice(0, 10) !== directTransfersData.slice(0, 10)) {
+      return null;
+    }
+
+    const params = oThis.auxiliaryWeb3.eth.abi.decodeParameters(['address[]', 'uint256[]'], '0x' + data.slice(10));
+
+    return params[1]
+      .reduce(function(total, transferAmount) {
+        return total.add(Web3Utils.toBN(transferAmount));
+      }, Web3Utils.toBN(0))
+      .toString(10);
+  }
+
+  /**
+   * It recovers signer of the signed transaction from its EIP-1077 hash.
+   *
+   * @param signedTransaction Signed transaction.
+   *
+   * @returns {String|null} Signer address.
+   * @private
+   */
+  _recoverSigner(signedTransaction) {
+    const oThis = this;
+
+    const transactionHash = Web3Utils.toEIP1077TransactionHash({
+      from: oThis.tokenHolderProxy,
+      to: signedTransaction.to,
+      data: signedTransaction.data,
+      nonce: signedTransaction.nonce,
+      callPrefix: oThis.tokenHolder.getTokenHolderExecuteRuleCallPrefix(),
+      value: 0,
+      gasPrice: 0,
+      gas: 0
+    });
+
+    try {
+      return Account.recover(
+        transactionHash,
+        Account.encodeSignature([Web3Utils.toHex(signedTransaction.v), signedTransaction.r, signedTransaction.s])
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * It returns token rules address of the token holder.
+   *
+   * @returns {Promise<String>} TokenRules address.
+   * @private
+   */
+  _getTokenRules() {
+    const oThis = this;
+
+    return oThis
+      ._getTokenHolderContract()
+      .methods.tokenRules()
+      .call();
+  }
+
+  /**
+   * It returns TokenHolder contract object.
+   *
+   * @returns {Object} Contract object.
+   * @private
+   */
+  _getTokenHolderContract() {
+    const oThis = this;
+
+    return new oThis.auxiliaryWeb3.eth.Contract(
+      oThis.abiBinProvider.getABI(TokenHolderContractName),
+      oThis.tokenHolderProxy
+    );
+  }
+
+  /**
+   * It returns token balance of the token holder.
+   *
+   * @param token EIP20 token address.
+   *
+   * @returns {Promise<String>} Balance.
+   * @private
+   */
+  async _getTokenBalance(token) {
+    const oThis = this;
+
+    const web3 = oThis.auxiliaryWeb3,
+      data = web3.eth.abi.encodeFunctionCall(
+        {
+          name: 'balanceOf',
+          type: 'function',
+          inputs: [{ type: 'address', name: '_owner' }]
+        },
+        [oThis.tokenHolderProxy]
+      );
+
+    return web3.eth.abi.decodeParameter('uint256', await web3.eth.call({ to: token, data: data }));
+  }
+
+  /**
+   * It returns TokenRules contract object.
+   *
+   * @param tokenRules TokenRules contract address.
+   *
+   * @returns {Object} Contract object.
+   * @private
+   */
+  _getTokenRulesContract(tokenRules) {
+    const oThis = this;
+
+    return new oThis.auxiliaryWeb3.eth.Contract(oThis.abiBinProvider.getABI(TokenRulesContractName), tokenRules);
+  }
+
+  /**
+   * It returns an issue object.
+   *
+   * @param code Issue code.
+   * @param message Description of the issue.
+   *
+   * @returns {Object} Issue.
+   * @private
+   */
+  _issue(code, message) {
+    return {
+      code: code,
+      message: message
+    };
+  }
+}
+
+ExecuteRulePreflight.IssueCode = IssueCode;
+
+module.exports = ExecuteRulePreflight;
@@ -21,12 +21,15 @@
 'use strict';
 
 const TxSender = require('./../../utils/TxSender'),
+  ContractEvents = require('./../../utils/ContractEvents'),
   AbiBinProvider = require('./../AbiBinProvider');
 const Mosaic = require('@openstfoundation/mosaic-tbd'),
   TypedDataClass = Mosaic.Utils.EIP712TypedData;
 
 const gnosisSafeContractName = 'GnosisSafe';
 
+const nullAddress = '0x0000000000000000000000000000000000000000';
+
 /**
  * A multisignature wallet of a user with support for confirmations using signed messages based on ERC191.
  */
@@ -276,6 +279,20 @@ class GnosisSafe {
     return contract.methods.getOwners().call();
   }
 
+  /**
+   * It provides number of required confirmations for a Safe transaction.
+   *
+   * @returns Promise object.
+   */
+  getThreshold() {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(gnosisSafeContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.gnosisSafeProxy);
+
+    return contract.methods.getThreshold().call();
+  }
+
   /**
    * It returns the transaction nonce.
    *
@@ -373,6 +390,279 @@ class GnosisSafe {
     }
   }
 
+  /**
+   * It returns safe transactions for a list of calls. Transactions are assigned consecutive safe
+   * nonces starting from the current nonce, so that all of them can be signed up front.
+   *
+   * Transaction consists:
+   *  - to: Destination address of the safe transaction.
+   *  - data: Data payload of the safe transaction.
+   *  - nonce: Safe nonce.
+   *  - safeTxData: EIP-712 typed data to be signed by owners.
+   *
+   * @param calls List of objects with destination address (to) and data payload (data).
+   *
+   * @returns {Promise<Array>} Safe transactions.
+   */
+  async getSafeTransactions(calls) {
+    const oThis = this;
+
+    const nonce = parseInt(await oThis.getNonce());
+
+    return calls.map(function(call, index) {
+      return {
+        to: call.to,
+        data: call.data,
+        nonce: nonce + index,
+        safeTxData: oThis.getSafeTxData(call.to, 0, call.data, 0, 0, 0, 0, nullAddress, nullAddress, nonce + index)
+      };
+    });
+  }
+
+  /**
+   * It signs safe transactions with the given owners. There should be at least threshold number of signers.
+   *
+   * @param transactions Safe transactions returned by getSafeTransactions.
+   * @param signers Owner accounts. Signer should have address and signEIP712TypedData method
+   *                e.g. web3 wallet account.
+   *
+   * @returns {Promise<Array>} Safe transactions with signatures.
+   */
+  async signSafeTransactions(transactions, signers) {
+    const oThis = this;
+
+    await oThis._validateSigners(
+      signers.map(function(signer) {
+        return signer.address;
+      })
+    );
+
+    const signedTransactions = [];
+    for (let i = 0; i < transactions.length; i++) {
+      const signatures = [];
+      for (let j = 0; j < signers.length; j++) {
+        const signature = await signers[j].signEIP712TypedData(transactions[i].safeTxData);
+        signatures.push({
+          signer: signers[j].address,
+          signature: signature.signature
+        });
+      }
+      signedTransactions.push(Object.assign({}, transactions[i], { signatures: signatures }));
+    }
+
+    return signedTransactions;
+  }
+
+  /**
+   * It executes signed safe transactions in order of their nonce.
+   *
+   * @param signedTransactions Safe transactions with signatures of the owners.
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Array>} Transaction receipts.
+   */
+  async executeSafeTransactions(signedTransactions, txOptions) {
+    const oThis = this;
+
+    const receipts = [];
+    for (let i = 0; i < signedTransactions.length; i++) {
+      const transaction = signedTransactions[i];
+
+      await oThis._validateSigners(
+        transaction.signatures.map(function(signatureData) {
+          return signatureData.signer;
+        })
+      );
+
+      const receipt = await oThis.execTransaction(
+        transaction.to,
+        0,
+        transaction.data,
+        0,
+        0,
+        0,
+        0,
+        nullAddress,
+        nullAddress,
+        oThis.packSignatures(transaction.signatures),
+        txOptions
+      );
+
+      // Gnosis safe doesn't revert if the inner call fails.
+      if (receipt.events && receipt.events.ExecutionFailed) {
+        throw new Error('Safe transaction with nonce: ' + transaction.nonce + ' failed.');
+      }
+      receipts.push(receipt);
+    }
+
+    return receipts;
+  }
+
+  /**
+   * It packs owner signatures in the format expected by execTransaction. Gnosis safe requires
+   * signatures to be sorted by signer address in ascending order.
+   *
+   * @param signatures List of objects with signer address and signature.
+   *
+   * @returns {String} Packed signature data.
+   */
+  packSignatures(signatures) {
+    const sortedSignatures = signatures.slice().sort(function(a, b) {
+      const signerA = a.signer.toLowerCase(),
+        signerB = b.signer.toLowerCase();
+
+      return signerA < signerB ? -1 : signerA > signerB ? 1 : 0;
+    });
+
+    return (
+      '0x' +
+      sortedSignatures
+        .map(function(signatureData) {
+          return signatureData.signature.replace(/^0x/, '');
+        })
+        .join('')
+    );
+  }
+
+  /**
+   * It returns decoded events of the gnosis safe emitted in the block range. See ContractEvents.
+   *
+   * @param eventName Name of the event.
+   * @param fromBlock Optional start block. Defaults to 0.
+   * @param toBlock Optional end block. Defaults to the latest block.
+   *
+   * @returns {Promise<Array>} Decoded events.
+   */
+  getPastEvents(eventName, fromBlock, toBlock) {
+    const oThis = this;
+
+    return oThis._getContractEvents().getPastEvents(eventName, fromBlock, toBlock);
+  }
+
+  /**
+   * It subscribes to an event of the gnosis safe. See ContractEvents.subscribe.
+   *
+   * @param eventName Name of the event.
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  subscribe(eventName, callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis._getContractEvents().subscribe(eventName, callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to AddedOwner events of the gnosis safe.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onAddedOwner(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('AddedOwner', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to RemovedOwner events of the gnosis safe.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onRemovedOwner(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('RemovedOwner', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to ChangedThreshold events of the gnosis safe.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onChangedThreshold(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('ChangedThreshold', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to ExecutionFailed events of the gnosis safe. It is emitted when the inner call of a safe transaction fails.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onExecutionFailed(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('ExecutionFailed', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It returns events provider of the gnosis safe.
+   *
+   * @returns {ContractEvents}
+   * @private
+   */
+  _getContractEvents() {
+    const oThis = this;
+
+    return new ContractEvents(
+      oThis.auxiliaryWeb3,
+      oThis.abiBinProvider.getABI(gnosisSafeContractName),
+      oThis.gnosisSafeProxy
+    );
+  }
+
+  /**
+   * It checks that signers are current owners and number of distinct signers meets the threshold.
+   *
+   * @param signerAddresses Signer addresses.
+   *
+   * @returns Promise object.
+   * @private
+   */
+  async _validateSigners(signerAddresses) {
+    const oThis = this;
+
+    const owners = (await oThis.getOwners()).map(function(owner) {
+        return owner.toLowerCase();
+      }),
+      threshold = parseInt(await oThis.getThreshold());
+
+    const distinctSigners = [];
+    for (let i = 0; i < signerAddresses.length; i++) {
+      const signer = signerAddresses[i].toLowerCase();
+      if (owners.indexOf(signer) === -1) {
+        throw new Error('Signer: ' + signerAddresses[i] + ' is not an owner of gnosis safe: ' + oThis.gnosisSafeProxy);
+      }
+      if (distinctSigners.indexOf(signer) === -1) {
+        distinctSigners.push(signer);
+      }
+    }
+
+    if (distinctSigners.length < threshold) {
+      throw new Error('Safe transaction requires ' + threshold + ' owner signatures, found: ' + distinctSigners.length);
+    }
+  }
+
   /**
    * Returns domain separator.
    *
@@ -0,0 +1,240 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const GnosisSafe = require('./GnosisSafe'),
+  TokenHolder = require('./TokenHolder');
+
+/**
+ * Recovery of a user wallet whose owner key is lost.
+ *
+ * Remaining owners of the gnosis safe, e.g. recovery owners or a designated recovery key,
+ * co-sign a swap of the lost owner with a new owner. Sessions of the lost device are revoked
+ * in the token holder with subsequent safe transactions of the same recovery.
+ *
+ * Safe transactions are executed one by one, so the recovery can fail after the owner is
+ * swapped. In that case it is rejected with an error which reports the session keys which
+ * are still authorized, see executeRecovery.
+ */
+class Recovery {
+  /**
+   * Constructor of Recovery.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param gnosisSafeProxy Gnosis safe proxy address of the user.
+   * @param tokenHolderProxy TokenHolder proxy address of the user.
+   */
+  constructor(auxiliaryWeb3, gnosisSafeProxy, tokenHolderProxy) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.gnosisSafeProxy = gnosisSafeProxy;
+    oThis.tokenHolderProxy = tokenHolderProxy;
+    oThis.gnosisSafe = new GnosisSafe(gnosisSafeProxy, auxiliaryWeb3);
+    oThis.tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderProxy);
+  }
+
+  /**
+   * Recovers the wallet. It swaps the lost owner with the new owner and revokes the
+   * authorized sessions of the lost device.
+   *
+   * Response consists:
+   *  - receipts: Transaction receipts.
+   *  - revokedSessionKeys: Session keys which were revoked as per SessionRevoked events.
+   *  - skippedSessionKeys: Session keys which were not revoked as they were not authorized.
+   *
+   * @param lostOwner Owner address whose key is lost.
+   * @param newOwner New owner address.
+   * @param lostSessionKeys Session keys of the lost device.
+   * @param signers Owner accounts which co-sign the recovery. Signer should have address
+   *                and signEIP712TypedData method e.g. web3 wallet account.
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Object>} Response. It is rejected if any transaction fails, see executeRecovery.
+   */
+  async recover(lostOwner, newOwner, lostSessionKeys, signers, txOptions) {
+    const oThis = this;
+
+    const recoveryTransactions = await oThis.getRecoveryTransactions(lostOwner, newOwner, lostSessionKeys),
+      signedTransactions = await oThis.signRecoveryTransactions(recoveryTransactions.transactions, signers);
+
+    let response;
+    try {
+      response = await oThis.executeRecovery(signedTransactions, txOptions);
+    } catch (error) {
+      if (error.recovery) {
+        error.recovery.skippedSessionKeys = recoveryTransactions.skippedSessionKeys;
+      }
+      throw error;
+    }
+
+    response.skippedSessionKeys = recoveryTransactions.skippedSessionKeys;
+
+    return response;
+  }
+
+  /**
+   * It returns safe transactions of the recovery. First transaction swaps the owner, rest of
+   * the transactions revoke the sessions of the lost device which are still authorized.
+   * See GnosisSafe.getSafeTransactions. Every transaction has the sessionKey which it revokes,
+   * null for the owner swap.
+   *
+   * Response consists:
+   *  - transactions: Safe transactions.
+   *  - skippedSessionKeys: Session keys which are not revoked as they are not authorized.
+   *
+   * @param lostOwner Owner address whose key is lost.
+   * @param newOwner New owner address.
+   * @param lostSessionKeys Session keys of the lost device.
+   *
+   * @returns {Promise<Object>} Response.
+   */
+  async getRecoveryTransactions(lostOwner, newOwner, lostSessionKeys) {
+    const oThis = this;
+
+    const owners = await oThis.gnosisSafe.getOwners();
+
+    if (!oThis._containsAddress(owners, lostOwner)) {
+      throw new Error('Lost owner: ' + lostOwner + ' is not an owner of gnosis safe: ' + oThis.gnosisSafeProxy);
+    }
+    if (oThis._containsAddress(owners, newOwner)) {
+      throw new Error('New owner: ' + newOwner + ' is already an owner of gnosis safe: ' + oThis.gnosisSafeProxy);
+    }
+
+    const prevOwner = oThis.gnosisSafe.findPreviousOwner(
+        owners.map(function(owner) {
+          return owner.toLowerCase();
+        }),
+        lostOwner.toLowerCase()
+      ),
+      calls = [
+        {
+          to: oThis.gnosisSafeProxy,
+          data: oThis.gnosisSafe.getSwapOwnerExecutableData(prevOwner, lostOwner, newOwner),
+          sessionKey: null
+        }
+      ],
+      skippedSessionKeys = [];
+
+    const sessionKeys = lostSessionKeys || [];
+    for (let i = 0; i < sessionKeys.length; i++) {
+      const sessionKeyData = await oThis.tokenHolder.getSessionKeyData(sessionKeys[i]);
+      if (sessionKeyData.status.toString() !== TokenHolder.AuthorizationStatus.authorized) {
+        skippedSessionKeys.push(sessionKeys[i]);
+        continue;
+      }
+      calls.push({
+        to: oThis.tokenHolderProxy,
+        data: oThis.tokenHolder.getRevokeSessionExecutableData(sessionKeys[i]),
+        sessionKey: sessionKeys[i]
+      });
+    }
+
+    const transactions = await oThis.gnosisSafe.getSafeTransactions(calls);
+
+    return {
+      transactions: transactions.map(function(transaction, index) {
+        return Object.assign(transaction, { sessionKey: calls[index].sessionKey });
+      }),
+      skippedSessionKeys: skippedSessionKeys
+    };
+  }
+
+  /**
+   * It signs the recovery transactions with the given owners. There should be at least threshold
+   * number of signers.
+   *
+   * @param transactions Safe transactions of the response of getRecoveryTransactions.
+   * @param signers Owner accounts which co-sign the recovery.
+   *
+   * @returns {Promise<Array>} Safe transactions with signatures.
+   */
+  signRecoveryTransactions(transactions, signers) {
+    const oThis = this;
+
+    return oThis.gnosisSafe.signSafeTransactions(transactions, signers);
+  }
+
+  /**
+   * It executes the signed recovery transactions in order of their nonce.
+   *
+   * If a transaction fails, it is rejected with the error of the failed transaction. The error has
+   * `recovery` with receipts, revokedSessionKeys and unrevokedSessionKeys i.e. session keys of the
+   * lost device which are still authorized. Owner is already swapped if receipts are not empty, so
+   * unrevoked session keys should be revoked by the new owners.
+   *
+   * @param signedTransactions Safe transactions with signatures of the co-signing owners.
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Object>} Response with receipts and revokedSessionKeys, see recover.
+   */
+  async executeRecovery(signedTransactions, txOptions) {
+    const oThis = this;
+
+    const receipts = [];
+    let revokedSessionKeys = [];
+    for (let i = 0; i < signedTransactions.length; i++) {
+      try {
+        receipts.push((await oThis.gnosisSafe.executeSafeTransactions([signedTransactions[i]], txOptions))[0]);
+      } catch (error) {
+        error.recovery = {
+          receipts: receipts,
+          revokedSessionKeys: revokedSessionKeys,
+          unrevokedSessionKeys: signedTransactions
+            .slice(i)
+            .map(function(transaction) {
+              return transaction.sessionKey;
+            })
+            .filter(Boolean)
+        };
+        throw error;
+      }
+
+      if (signedTransactions[i].sessionKey) {
+        revokedSessionKeys = revokedSessionKeys.concat(
+          await oThis.tokenHolder.getRevokedSessionKeys(receipts[i].transactionHash)
+        );
+      }
+    }
+
+    return {
+      receipts: receipts,
+      revokedSessionKeys: revokedSessionKeys
+    };
+  }
+
+  /**
+   * It checks if the address is present in the list, ignoring case.
+   *
+   * @param addresses List of addresses.
+   * @param address Address to search.
+   *
+   * @returns {Boolean}
+   * @private
+   */
+  _containsAddress(addresses, address) {
+    return addresses.some(function(item) {
+      return item.toLowerCase() === address.toLowerCase();
+    });
+  }
+}
+
+module.exports = Recovery;
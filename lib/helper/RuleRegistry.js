@@ -0,0 +1,345 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+//__NOT_FOR_WEB__BEGIN__
+const fs = require('fs');
+//__NOT_FOR_WEB__END__
+
+const TokenRules = require('./TokenRules');
+
+/**
+ * In-process cache of the rules registered in a token rules contract.
+ *
+ * Registry is seeded from RuleRegistered events and kept in sync with sync or start. Token rules
+ * doesn't support unregistering a rule, so cached rules never get stale. Registry can be persisted
+ * to a JSON file and passed to Helpers.TokenRules, ExecuteRulePreflight and TransactionExplainer, whose
+ * rule lookups then use the cache. Rules they read from the contract on a cache miss are cached too.
+ *
+ * Rule consists ruleName, ruleAddress, ruleAbi (as registered), blockNumber and transactionHash. Block number
+ * and transaction hash are null for a rule cached from a lookup till its RuleRegistered event is synced.
+ * Cursor { nextBlock, lastLogIndex } is the position up to which events are processed, see ContractEvents.
+ */
+class RuleRegistry {
+  /**
+   * Constructor of RuleRegistry.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param tokenRules Address of token rules contract.
+   * @param filePath Optional path of the JSON file where registry is persisted. Registry is kept in memory only if not provided.
+   * @param fromBlock Optional block from which events are read, e.g. deployment block of token rules. Defaults to 0.
+   */
+  constructor(auxiliaryWeb3, tokenRules, filePath, fromBlock) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.tokenRules = tokenRules;
+    oThis.filePath = filePath || null;
+    oThis.cursor = { nextBlock: fromBlock || 0, lastLogIndex: -1 };
+    oThis.rules = [];
+    oThis.tokenRulesHelper = new TokenRules(tokenRules, auxiliaryWeb3);
+    oThis.subscription = null;
+    oThis.processing = Promise.resolve();
+  }
+
+  /**
+   * Loads registry from the JSON file. An empty registry is returned if file doesn't exist.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param tokenRules Address of token rules contract.
+   * @param filePath Path of the registry JSON file.
+   * @param fromBlock Optional block from which events are read if file doesn't exist.
+   *
+   * @returns {RuleRegistry}
+   */
+  static load(auxiliaryWeb3, tokenRules, filePath, fromBlock) {
+    //__NOT_FOR_WEB__BEGIN__
+    if (fs.existsSync(filePath)) {
+      const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (json.tokenRules.toLowerCase() !== tokenRules.toLowerCase()) {
+        throw new Error('Registry file: ' + filePath + ' belongs to token rules: ' + json.tokenRules);
+      }
+      return RuleRegistry.fromJSON(auxiliaryWeb3, json, filePath);
+    }
+    //__NOT_FOR_WEB__END__
+
+    return new RuleRegistry(auxiliaryWeb3, tokenRules, filePath, fromBlock);
+  }
+
+  /**
+   * Creates registry from its JSON representation.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param json Object returned by toJSON method.
+   * @param filePath Optional path of the JSON file where registry is persisted.
+   *
+   * @returns {RuleRegistry}
+   */
+  static fromJSON(auxiliaryWeb3, json, filePath) {
+    const registry = new RuleRegistry(auxiliaryWeb3, json.tokenRules, filePath);
+
+    registry.cursor = Object.assign({}, json.cursor);
+    registry.rules = json.rules.slice();
+
+    return registry;
+  }
+
+  /**
+   * Returns JSON representation of registry.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    const oThis = this;
+
+    return {
+      tokenRules: oThis.tokenRules,
+      cursor: oThis.cursor,
+      rules: oThis.rules
+    };
+  }
+
+  /**
+   * Writes registry to the JSON file. It does nothing if file path is not set.
+   */
+  save() {
+    const oThis = this;
+
+    if (!oThis.filePath) {
+      return;
+    }
+
+    //__NOT_FOR_WEB__BEGIN__
+    fs.writeFileSync(oThis.filePath, JSON.stringify(oThis.toJSON(), null, 2));
+    //__NOT_FOR_WEB__END__
+  }
+
+  /**
+   * It reads RuleRegistered events since the cursor up to a block and caches the registered rules.
+   * Registry is saved afterwards.
+   *
+   * @param toBlock Optional block up to which events are read. Defaults to the latest block.
+   *
+   * @returns {Promise<Array>} Newly cached rules.
+   */
+  async sync(toBlock) {
+    const oThis = this;
+
+    if (toBlock === undefined || toBlock === null) {
+      toBlock = await oThis.auxiliaryWeb3.eth.getBlockNumber();
+    }
+
+    await oThis.processing;
+
+    if (oThis.cursor.nextBlock > toBlock) {
+      return [];
+    }
+
+    const cursor = oThis.cursor,
+      events = await oThis.tokenRulesHelper.getPastEvents('RuleRegistered', cursor.nextBlock, toBlock),
+      addedRules = [];
+
+    for (let i = 0; i < events.length; i++) {
+      const event = events[i];
+      if (event.blockNumber === cursor.nextBlock && event.logIndex <= cursor.lastLogIndex) {
+        continue;
+      }
+      const rule = await oThis._addRule(event);
+      if (rule) {
+        addedRules.push(rule);
+      }
+    }
+
+    if (toBlock + 1 > oThis.cursor.nextBlock) {
+      oThis.cursor = { nextBlock: toBlock + 1, lastLogIndex: -1 };
+    }
+    oThis.save();
+
+    return addedRules;
+  }
+
+  /**
+   * It keeps registry in sync with live RuleRegistered events. Events since the cursor are cached first.
+   * Registry is saved after every event.
+   *
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   * @param onError Optional function called with errors of the subscription.
+   */
+  start(pollingInterval, onError) {
+    const oThis = this;
+
+    if (oThis.subscription) {
+      return;
+    }
+
+    oThis.subscription = oThis.tokenRulesHelper.onRuleRegistered(
+      function(error, event) {
+        if (error) {
+          onError && onError(error);
+          return;
+        }
+        oThis.processing = oThis.processing
+          .then(function() {
+            return oThis._addRule(event);
+          })
+          .then(function() {
+            oThis.save();
+          })
+          .catch(function(processingError) {
+            onError && onError(processingError);
+          });
+      },
+      oThis.cursor,
+      pollingInterval
+    );
+  }
+
+  /**
+   * It stops syncing with live events.
+   *
+   * @returns {Promise<void>} Resolved when the received events are processed.
+   */
+  async stop() {
+    const oThis = this;
+
+    if (oThis.subscription) {
+      oThis.subscription.unsubscribe();
+      oThis.subscription = null;
+    }
+
+    await oThis.processing;
+  }
+
+  /**
+   * It caches a rule read from token rules storage, e.g. on a cache miss of a lookup. Registry is saved afterwards.
+   *
+   * @param rule Rule with ruleName, ruleAddress and ruleAbi as stored in token rules.
+   *
+   * @returns {Object|null} Cached rule, null if it was already cached.
+   */
+  cacheRule(rule) {
+    const oThis = this;
+
+    if (oThis.getRuleByAddress(rule.ruleAddress)) {
+      return null;
+    }
+
+    const cachedRule = {
+      ruleName: rule.ruleName,
+      ruleAddress: rule.ruleAddress,
+      ruleAbi: rule.ruleAbi,
+      blockNumber: null,
+      transactionHash: null
+    };
+    oThis.rules.push(cachedRule);
+    oThis.save();
+
+    return cachedRule;
+  }
+
+  /**
+   * It returns cached rule by its name.
+   *
+   * @param ruleName Name of the rule.
+   *
+   * @returns {Object|null} Rule, null if it is not cached.
+   */
+  getRuleByName(ruleName) {
+    const oThis = this;
+
+    return (
+      oThis.rules.find(function(rule) {
+        return rule.ruleName === ruleName;
+      }) || null
+    );
+  }
+
+  /**
+   * It returns cached rule by its address.
+   *
+   * @param ruleAddress Address of the rule contract.
+   *
+   * @returns {Object|null} Rule, null if it is not cached.
+   */
+  getRuleByAddress(ruleAddress) {
+    const oThis = this;
+
+    return (
+      oThis.rules.find(function(rule) {
+        return rule.ruleAddress.toLowerCase() === ruleAddress.toLowerCase();
+      }) || null
+    );
+  }
+
+  /**
+   * It returns all the cached rules in order of caching, which is the order of registration for synced rules.
+   *
+   * @returns {Array} Rules.
+   */
+  getRules() {
+    const oThis = this;
+
+    return oThis.rules.slice();
+  }
+
+  /**
+   * It caches the rule of a RuleRegistered event. ABI of the rule is read from the contract storage.
+   * Position of a rule cached from a lookup is filled in. Cursor is moved forward to the event.
+   *
+   * @param event Decoded RuleRegistered event.
+   *
+   * @returns {Promise<Object|null>} Cached rule, null if it was already cached.
+   * @private
+   */
+  async _addRule(event) {
+    const oThis = this;
+
+    const cachedRule = oThis.getRuleByAddress(event.returnValues._ruleAddress);
+
+    let rule = null;
+    if (cachedRule && cachedRule.blockNumber === null) {
+      cachedRule.blockNumber = event.blockNumber;
+      cachedRule.transactionHash = event.transactionHash;
+    } else if (!cachedRule) {
+      const storedRule = await oThis.tokenRulesHelper.getRuleByAddress(event.returnValues._ruleAddress);
+      rule = {
+        ruleName: storedRule.ruleName,
+        ruleAddress: storedRule.ruleAddress,
+        ruleAbi: storedRule.ruleAbi,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      };
+      oThis.rules.push(rule);
+    }
+
+    const cursor = oThis.cursor;
+    if (
+      event.blockNumber > cursor.nextBlock ||
+      (event.blockNumber === cursor.nextBlock && event.logIndex > cursor.lastLogIndex)
+    ) {
+      oThis.cursor = { nextBlock: event.blockNumber, lastLogIndex: event.logIndex };
+    }
+
+    return rule;
+  }
+}
+
+module.exports = RuleRegistry;
@@ -0,0 +1,215 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const ValidationError = require('./../errors/ValidationError');
+
+// Number of recent blocks over which average block time is measured.
+const DefaultSampleSize = 1000;
+
+/**
+ * Conversion between time and block heights for session key expiration.
+ *
+ * Session key expiry can be given as:
+ *  - An expiration height i.e. a block number. It is used as is.
+ *  - { duration: seconds } e.g. { duration: 30 * 24 * 60 * 60 } for 30 days from now.
+ *  - { deadline: date } where date is a Date object or unix timestamp in seconds.
+ *
+ * Durations and deadlines are converted with the average block time, which is either configured
+ * or measured from the timestamps of recent blocks. Converted heights are estimates, blocks are
+ * not produced at a fixed rate.
+ */
+class SessionExpiry {
+  /**
+   * Constructor of SessionExpiry.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param averageBlockTime Optional average block time in seconds. It is measured from recent blocks if not given.
+   * @param sampleSize Optional number of recent blocks used to measure average block time. Defaults to 1000.
+   */
+  constructor(auxiliaryWeb3, averageBlockTime, sampleSize) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.averageBlockTime = averageBlockTime || null;
+    oThis.sampleSize = sampleSize || DefaultSampleSize;
+  }
+
+  /**
+   * It returns average block time in seconds. Configured value is returned if present.
+   *
+   * @param blockNumber Optional block up to which block time is measured. Defaults to the latest block.
+   *
+   * @returns {Promise<Number>} Average block time in seconds.
+   */
+  async getAverageBlockTime(blockNumber) {
+    const oThis = this;
+
+    if (oThis.averageBlockTime) {
+      return oThis.averageBlockTime;
+    }
+
+    const web3 = oThis.auxiliaryWeb3,
+      toBlock = await web3.eth.getBlock(blockNumber === undefined || blockNumber === null ? 'latest' : blockNumber),
+      fromBlock = await web3.eth.getBlock(Math.max(0, toBlock.number - oThis.sampleSize));
+
+    const averageBlockTime = (toBlock.timestamp - fromBlock.timestamp) / (toBlock.number - fromBlock.number);
+    if (!(averageBlockTime > 0)) {
+      throw new Error('Average block time cannot be measured at block: ' + toBlock.number + ', configure it instead.');
+    }
+
+    return averageBlockTime;
+  }
+
+  /**
+   * It converts a session key expiry to expiration height. See class doc for the supported formats.
+   *
+   * @param expiry Expiration height, { duration } or { deadline }.
+   *
+   * @returns {Promise<String>} Expiration height. It is rejected with ValidationError if the expiry is invalid.
+   */
+  async getExpirationHeight(expiry) {
+    const oThis = this;
+
+    const expirationHeights = await oThis.getExpirationHeights([expiry]);
+
+    return expirationHeights[0];
+  }
+
+  /**
+   * It converts a list of session key expiries to expiration heights. Average block time is measured once
+   * for the whole list. Expiration heights in the list are returned as is, so the result can be passed
+   * wherever expiration heights are expected. Input which is not a list is returned as is.
+   *
+   * @param expiries List of expiration heights, { duration } or { deadline }.
+   *
+   * @returns {Promise<Array>} Expiration heights. It is rejected with ValidationError if an expiry is invalid.
+   */
+  async getExpirationHeights(expiries) {
+    const oThis = this;
+
+    if (!Array.isArray(expiries) || !expiries.some(oThis._isTimeBased)) {
+      return expiries;
+    }
+
+    const latestBlock = await oThis.auxiliaryWeb3.eth.getBlock('latest'),
+      averageBlockTime = await oThis.getAverageBlockTime(latestBlock.number);
+
+    return expiries.map(function(expiry, index) {
+      if (!oThis._isTimeBased(expiry)) {
+        return expiry;
+      }
+
+      const field = 'sessionKeysExpirationHeights[' + index + ']',
+        seconds = oThis._getSecondsFromBlock(expiry, latestBlock.timestamp, field);
+
+      return String(latestBlock.number + Math.ceil(seconds / averageBlockTime));
+    });
+  }
+
+  /**
+   * It estimates the time at which a block height is reached.
+   *
+   * @param expirationHeight Expiration height.
+   * @param blockNumber Optional block from which the time is estimated. Defaults to the latest block.
+   *
+   * @returns {Promise<Number>} Estimated unix timestamp in seconds.
+   */
+  async estimateExpiryTime(expirationHeight, blockNumber) {
+    const oThis = this;
+
+    const estimateExpiryTime = await oThis.getExpiryTimeEstimator(blockNumber);
+
+    return estimateExpiryTime(expirationHeight);
+  }
+
+  /**
+   * It measures block time once and returns a function which estimates the time at which a block height
+   * is reached, e.g. to estimate expiry of many session keys.
+   *
+   * @param blockNumber Optional block from which the time is estimated. Defaults to the latest block.
+   *
+   * @returns {Promise<Function>} Function which returns estimated unix timestamp in seconds of an expiration height.
+   */
+  async getExpiryTimeEstimator(blockNumber) {
+    const oThis = this;
+
+    const block = await oThis.auxiliaryWeb3.eth.getBlock(
+        blockNumber === undefined || blockNumber === null ? 'latest' : blockNumber
+      ),
+      averageBlockTime = await oThis.getAverageBlockTime(block.number);
+
+    return function(expirationHeight) {
+      const blocks = Number(expirationHeight) - block.number;
+
+      return Math.round(block.timestamp + blocks * averageBlockTime);
+    };
+  }
+
+  /**
+   * It returns number of seconds from the block timestamp until the expiry.
+   *
+   * @param expiry { duration } or { deadline }.
+   * @param blockTimestamp Timestamp of the block from which expiry is counted.
+   * @param field Name of the input used in validation errors.
+   *
+   * @returns {Number} Seconds.
+   * @private
+   */
+  _getSecondsFromBlock(expiry, blockTimestamp, field) {
+    let seconds;
+    if (expiry.duration !== undefined) {
+      seconds = Number(expiry.duration);
+    } else {
+      const deadline = expiry.deadline instanceof Date ? expiry.deadline.getTime() / 1000 : Number(expiry.deadline);
+      seconds = deadline - blockTimestamp;
+    }
+
+    if (!isFinite(seconds)) {
+      throw new ValidationError(ValidationError.Codes.invalidExpiry, field, 'Invalid session key expiry.');
+    }
+    if (seconds <= 0) {
+      throw new ValidationError(
+        ValidationError.Codes.expiredHeight,
+        field,
+        'Session key expiry should be in future, it is ' + -seconds + ' seconds in past.'
+      );
+    }
+
+    return seconds;
+  }
+
+  /**
+   * It checks if the expiry is a duration or deadline instead of an expiration height.
+   *
+   * @param expiry Session key expiry.
+   *
+   * @returns {Boolean}
+   * @private
+   */
+  _isTimeBased(expiry) {
+    return (
+      expiry !== null && typeof expiry === 'object' && (expiry.duration !== undefined || expiry.deadline !== undefined)
+    );
+  }
+}
+
+module.exports = SessionExpiry;
@@ -0,0 +1,315 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const TokenHolder = require('./TokenHolder');
+
+/**
+ * It hands out session key nonces locally, so that a session key can have multiple rule
+ * executions in flight. Nonces are tracked per token holder and session key.
+ *
+ * Signed executions remain pending till they are confirmed. When an execution fails, discardFrom
+ * discards it with the executions signed after it, as they can't be mined anymore, and hands out its
+ * nonce again. Executions with lower nonces stay pending. When nothing is in flight, e.g. after a
+ * restart or dropped transactions, reconcile resets the next nonce to the contract nonce.
+ */
+class SessionKeyNonceTracker {
+  /**
+   * Constructor of SessionKeyNonceTracker.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   */
+  constructor(auxiliaryWeb3) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.sessions = {};
+  }
+
+  /**
+   * It returns the next nonce of the session key. Nonce is read from the contract only the first time.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key address.
+   *
+   * @returns {Promise<Number>} Nonce.
+   */
+  async getNextNonce(tokenHolderProxy, sessionKey) {
+    const oThis = this;
+
+    const session = await oThis._getSession(tokenHolderProxy, sessionKey),
+      nonce = session.nextNonce;
+
+    session.nextNonce = nonce + 1;
+
+    return nonce;
+  }
+
+  /**
+   * It signs an executeRule transaction with the next nonce and keeps it pending.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key account which has signEIP1077Transaction method e.g. web3 wallet account.
+   * @param to The target rule contract address.
+   * @param data The payload of a function to be executed in the target rule.
+   *
+   * @returns {Promise<Object>} Signed transaction, see TokenHolder.signExecuteRule.
+   */
+  async signExecuteRule(tokenHolderProxy, sessionKey, to, data) {
+    const oThis = this;
+
+    const nonce = await oThis.getNextNonce(tokenHolderProxy, sessionKey.address),
+      tokenHolder = new TokenHolder(oThis.auxiliaryWeb3, tokenHolderProxy),
+      signedTransaction = await tokenHolder.signExecuteRule(sessionKey, to, data, nonce);
+
+    const session = await oThis._getSession(tokenHolderProxy, sessionKey.address);
+    session.pending[nonce] = signedTransaction;
+
+    return signedTransaction;
+  }
+
+  /**
+   * It signs and executes a rule with the next nonce. Execution is confirmed once the transaction is
+   * mined. If the transaction fails, it is discarded along with the executions signed after it, see
+   * discardFrom, and the error is thrown with the discarded signed transactions as
+   * `discardedTransactions`. It is empty if the execution was already discarded due to a failure of a
+   * lower nonce.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key account which has signEIP1077Transaction method e.g. web3 wallet account.
+   * @param to The target rule contract address.
+   * @param data The payload of a function to be executed in the target rule.
+   * @param txOptions Tx options.
+   *
+   * @returns Promise object.
+   */
+  async executeRule(tokenHolderProxy, sessionKey, to, data, txOptions) {
+    const oThis = this;
+
+    const signedTransaction = await oThis.signExecuteRule(tokenHolderProxy, sessionKey, to, data),
+      tokenHolder = new TokenHolder(oThis.auxiliaryWeb3, tokenHolderProxy);
+
+    let receipt;
+    try {
+      receipt = await tokenHolder.executeRule(
+        signedTransaction.to,
+        signedTransaction.data,
+        signedTransaction.nonce,
+        signedTransaction.r,
+        signedTransaction.s,
+        signedTransaction.v,
+        txOptions
+      );
+    } catch (error) {
+      error.discardedTransactions = await oThis._discardFailed(tokenHolderProxy, sessionKey.address, signedTransaction);
+      throw error;
+    }
+
+    await oThis.confirm(tokenHolderProxy, sessionKey.address, signedTransaction.nonce);
+
+    return receipt;
+  }
+
+  /**
+   * It marks the execution with the nonce as mined.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key address.
+   * @param nonce Nonce of the execution.
+   *
+   * @returns Promise object.
+   */
+  async confirm(tokenHolderProxy, sessionKey, nonce) {
+    const oThis = this;
+
+    const session = await oThis._getSession(tokenHolderProxy, sessionKey);
+    delete session.pending[nonce];
+  }
+
+  /**
+   * It returns signed executions which are not confirmed yet, in order of nonce.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key address.
+   *
+   * @returns {Promise<Array>} Signed transactions.
+   */
+  async getPending(tokenHolderProxy, sessionKey) {
+    const oThis = this;
+
+    const session = await oThis._getSession(tokenHolderProxy, sessionKey);
+
+    return oThis._sortByNonce(session.pending);
+  }
+
+  /**
+   * It discards the pending executions from the failed nonce onwards, as they can't be mined after the
+   * failed nonce. Pending executions below the failed nonce stay pending. Failed nonce is handed out
+   * again by getNextNonce.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key address.
+   * @param nonce Nonce of the failed execution.
+   *
+   * @returns {Promise<Array>} Discarded signed transactions, in order of nonce.
+   */
+  async discardFrom(tokenHolderProxy, sessionKey, nonce) {
+    const oThis = this;
+
+    const session = await oThis._getSession(tokenHolderProxy, sessionKey),
+      failedNonce = Number(nonce);
+
+    const discarded = oThis._sortByNonce(session.pending).filter(function(signedTransaction) {
+      return Number(signedTransaction.nonce) >= failedNonce;
+    });
+    discarded.forEach(function(signedTransaction) {
+      delete session.pending[signedTransaction.nonce];
+    });
+
+    session.nextNonce = Math.min(session.nextNonce, failedNonce);
+
+    return discarded;
+  }
+
+  /**
+   * It reconciles local nonces with the contract nonce. It should be used only when no execution is
+   * in flight, as the contract nonce doesn't count them. Pending executions below the contract nonce
+   * are considered mined. Pending executions from the contract nonce onwards can't be mined anymore
+   * as they were signed after a failed or dropped nonce, so they are discarded and returned.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key address.
+   *
+   * @returns {Promise<Array>} Discarded signed transactions, in order of nonce.
+   */
+  async reconcile(tokenHolderProxy, sessionKey) {
+    const oThis = this;
+
+    const session = await oThis._getSession(tokenHolderProxy, sessionKey),
+      contractNonce = await oThis._getContractNonce(tokenHolderProxy, sessionKey);
+
+    const discarded = oThis._sortByNonce(session.pending).filter(function(signedTransaction) {
+      return Number(signedTransaction.nonce) >= contractNonce;
+    });
+
+    session.pending = {};
+    session.nextNonce = contractNonce;
+
+    return discarded;
+  }
+
+  /**
+   * It discards a failed execution and the executions signed after it. Nothing is discarded if the
+   * failed execution is not pending anymore, i.e. it was discarded due to a failure of a lower nonce
+   * and its nonce may have been handed out again.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key address.
+   * @param signedTransaction Signed transaction of the failed execution.
+   *
+   * @returns {Promise<Array>} Discarded signed transactions, in order of nonce.
+   * @private
+   */
+  async _discardFailed(tokenHolderProxy, sessionKey, signedTransaction) {
+    const oThis = this;
+
+    const session = await oThis._getSession(tokenHolderProxy, sessionKey);
+    if (session.pending[signedTransaction.nonce] !== signedTransaction) {
+      return [];
+    }
+
+    return oThis.discardFrom(tokenHolderProxy, sessionKey, signedTransaction.nonce);
+  }
+
+  /**
+   * It returns tracked state of the session key. Nonce is read from the contract when the session
+   * key is tracked for the first time.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key address.
+   *
+   * @returns {Promise<Object>} Session state with nextNonce and pending executions.
+   * @private
+   */
+  async _getSession(tokenHolderProxy, sessionKey) {
+    const oThis = this;
+
+    const key = tokenHolderProxy.toLowerCase() + ':' + sessionKey.toLowerCase();
+
+    if (!oThis.sessions[key]) {
+      const session = {
+        nextNonce: null,
+        pending: {}
+      };
+      // Concurrent callers wait on the same read of the contract nonce.
+      session.initialization = oThis._getContractNonce(tokenHolderProxy, sessionKey).then(function(nonce) {
+        session.nextNonce = nonce;
+      });
+      oThis.sessions[key] = session;
+    }
+
+    try {
+      await oThis.sessions[key].initialization;
+    } catch (error) {
+      delete oThis.sessions[key];
+      throw error;
+    }
+
+    return oThis.sessions[key];
+  }
+
+  /**
+   * It reads nonce of the session key from the contract.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param sessionKey Session key address.
+   *
+   * @returns {Promise<Number>} Nonce.
+   * @private
+   */
+  async _getContractNonce(tokenHolderProxy, sessionKey) {
+    const oThis = this;
+
+    const sessionKeyData = await new TokenHolder(oThis.auxiliaryWeb3, tokenHolderProxy).getSessionKeyData(sessionKey);
+
+    return Number(sessionKeyData.nonce);
+  }
+
+  /**
+   * It returns signed transactions sorted by nonce.
+   *
+   * @param signedTransactions Signed transactions keyed by nonce.
+   *
+   * @returns {Array} Signed transactions.
+   * @private
+   */
+  _sortByNonce(signedTransactions) {
+    return Object.keys(signedTransactions)
+      .map(function(nonce) {
+        return signedTransactions[nonce];
+      })
+      .sort(function(a, b) {
+        return Number(a.nonce) - Number(b.nonce);
+      });
+  }
+}
+
+module.exports = SessionKeyNonceTracker;
@@ -0,0 +1,304 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const MemoryStorage = require('./../storage/MemoryStorage'),
+  TokenHolder = require('./TokenHolder');
+
+const StorageKeyPrefix = 'sessionKey-';
+
+/**
+ * Store of session keys of a client app. Session keys are generated locally and kept encrypted
+ * at rest in keystore v3 format, so only the encrypted keystore is ever written to the storage.
+ *
+ * Storage is pluggable, see MemoryStorage, FileStorage and KeyValueStorage. Every session key
+ * record consists:
+ *  - address: Session key address.
+ *  - keystore: Encrypted keystore v3 of the session key.
+ *  - tokenHolderProxy: TokenHolder proxy on which session key is authorized. Null until tracked.
+ *  - spendingLimit: Spending limit of the session key. Null until tracked.
+ *  - expirationHeight: Expiration height of the session key. Null until tracked.
+ *  - estimatedExpiryTime: Estimated unix timestamp in seconds at which session expires, see SessionExpiry.
+ *  - createdAt: Unix timestamp in seconds at which session key was added to the store.
+ */
+class SessionKeyStore {
+  /**
+   * Constructor of SessionKeyStore.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param storage Optional storage of the session keys. Defaults to MemoryStorage.
+   */
+  constructor(auxiliaryWeb3, storage) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.storage = storage || new MemoryStorage();
+  }
+
+  /**
+   * It generates a new session key and stores it encrypted with the password.
+   *
+   * @param password Password with which session key is encrypted.
+   * @param entropy Optional random string to increase entropy of the key.
+   *
+   * @returns {Promise<Object>} Session key account which has signEIP1077Transaction method.
+   */
+  async generate(password, entropy) {
+    const oThis = this;
+
+    const account = oThis.auxiliaryWeb3.eth.accounts.create(entropy);
+
+    await oThis._add(account, password);
+
+    return account;
+  }
+
+  /**
+   * It imports a session key from its private key and stores it encrypted with the password.
+   *
+   * @param privateKey Private key of the session key.
+   * @param password Password with which session key is encrypted.
+   *
+   * @returns {Promise<Object>} Session key account which has signEIP1077Transaction method.
+   */
+  async import(privateKey, password) {
+    const oThis = this;
+
+    const account = oThis.auxiliaryWeb3.eth.accounts.privateKeyToAccount(privateKey);
+
+    await oThis._add(account, password);
+
+    return account;
+  }
+
+  /**
+   * It decrypts a stored session key.
+   *
+   * @param address Session key address.
+   * @param password Password with which session key was encrypted.
+   *
+   * @returns {Promise<Object>} Session key account which has signEIP1077Transaction method.
+   */
+  async unlock(address, password) {
+    const oThis = this;
+
+    const record = await oThis._getRecordOrThrow(address);
+
+    return oThis.auxiliaryWeb3.eth.accounts.decrypt(record.keystore, password);
+  }
+
+  /**
+   * It reads authorization of a session key from a TokenHolder and records it with the session key.
+   * It should be called after the session key is authorized, e.g. with the wallet creation.
+   *
+   * @param address Session key address.
+   * @param tokenHolderProxy TokenHolder proxy address on which session key is authorized.
+   *
+   * @returns {Promise<Object>} Updated session key record.
+   */
+  async track(address, tokenHolderProxy) {
+    const oThis = this;
+
+    const record = await oThis._getRecordOrThrow(address),
+      session = await new TokenHolder(oThis.auxiliaryWeb3, tokenHolderProxy).inspectSessionKey(record.address);
+
+    if (session.status === 'notAuthorized') {
+      throw new Error('Session key: ' + record.address + ' is not authorized on token holder: ' + tokenHolderProxy);
+    }
+
+    Object.assign(record, {
+      tokenHolderProxy: tokenHolderProxy,
+      spendingLimit: session.spendingLimit,
+      expirationHeight: session.expirationHeight,
+      estimatedExpiryTime: session.estimatedExpiryTime
+    });
+    await oThis._setRecord(record);
+
+    return record;
+  }
+
+  /**
+   * It returns record of a session key.
+   *
+   * @param address Session key address.
+   *
+   * @returns {Promise<Object|null>} Session key record, null if it is not present.
+   */
+  async get(address) {
+    const oThis = this;
+
+    const value = await oThis.storage.get(oThis._getStorageKey(address));
+
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * It returns records of all the session keys in the store.
+   *
+   * @returns {Promise<Array>} Session key records.
+   */
+  async list() {
+    const oThis = this;
+
+    const keys = await oThis.storage.keys(),
+      records = [];
+
+    for (let i = 0; i < keys.length; i++) {
+      if (keys[i].indexOf(StorageKeyPrefix) !== 0) {
+        continue;
+      }
+      const value = await oThis.storage.get(keys[i]);
+      if (value) {
+        records.push(JSON.parse(value));
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * It returns records of the session keys authorized on a TokenHolder.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   *
+   * @returns {Promise<Array>} Session key records.
+   */
+  async listByTokenHolder(tokenHolderProxy) {
+    const oThis = this;
+
+    const records = await oThis.list();
+
+    return records.filter(function(record) {
+      return record.tokenHolderProxy && record.tokenHolderProxy.toLowerCase() === tokenHolderProxy.toLowerCase();
+    });
+  }
+
+  /**
+   * It returns records of the tracked session keys which are expired at a block height.
+   *
+   * @param blockNumber Optional block height. Defaults to the latest block.
+   *
+   * @returns {Promise<Array>} Session key records.
+   */
+  async listExpired(blockNumber) {
+    const oThis = this;
+
+    if (blockNumber === undefined || blockNumber === null) {
+      blockNumber = await oThis.auxiliaryWeb3.eth.getBlockNumber();
+    }
+
+    const records = await oThis.list(),
+      currentBlock = oThis.auxiliaryWeb3.utils.toBN(blockNumber);
+
+    return records.filter(function(record) {
+      return (
+        record.expirationHeight !== null && oThis.auxiliaryWeb3.utils.toBN(record.expirationHeight).lte(currentBlock)
+      );
+    });
+  }
+
+  /**
+   * It removes a session key from the store.
+   *
+   * @param address Session key address.
+   *
+   * @returns {Promise<void>}
+   */
+  async remove(address) {
+    const oThis = this;
+
+    await oThis.storage.remove(oThis._getStorageKey(address));
+  }
+
+  /**
+   * It encrypts and stores a session key account.
+   *
+   * @param account Session key account.
+   * @param password Password with which session key is encrypted.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _add(account, password) {
+    const oThis = this;
+
+    if (await oThis.get(account.address)) {
+      throw new Error('Session key: ' + account.address + ' is already present in the store.');
+    }
+
+    await oThis._setRecord({
+      address: account.address,
+      keystore: account.encrypt(password),
+      tokenHolderProxy: null,
+      spendingLimit: null,
+      expirationHeight: null,
+      estimatedExpiryTime: null,
+      createdAt: Math.floor(Date.now() / 1000)
+    });
+  }
+
+  /**
+   * It returns record of a session key. It throws if the record is not present.
+   *
+   * @param address Session key address.
+   *
+   * @returns {Promise<Object>} Session key record.
+   * @private
+   */
+  async _getRecordOrThrow(address) {
+    const oThis = this;
+
+    const record = await oThis.get(address);
+    if (!record) {
+      throw new Error('Session key: ' + address + ' is not present in the store.');
+    }
+
+    return record;
+  }
+
+  /**
+   * It writes a session key record to the storage.
+   *
+   * @param record Session key record.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  _setRecord(record) {
+    const oThis = this;
+
+    return oThis.storage.set(oThis._getStorageKey(record.address), JSON.stringify(record));
+  }
+
+  /**
+   * It returns storage key of a session key.
+   *
+   * @param address Session key address.
+   *
+   * @returns {String} Storage key.
+   * @private
+   */
+  _getStorageKey(address) {
+    return StorageKeyPrefix + address.toLowerCase();
+  }
+}
+
+module.exports = SessionKeyStore;
@@ -21,10 +21,28 @@
 'use strict';
 
 const TxSender = require('./../../utils/TxSender'),
-  AbiBinProvider = require('./../AbiBinProvider');
+  ContractEvents = require('./../../utils/ContractEvents'),
+  AbiBinProvider = require('./../AbiBinProvider'),
+  SessionExpiry = require('./SessionExpiry');
 
 const tokenHolderContractName = 'TokenHolder';
 
+const coGatewayContractName = 'CoGateway';
+
+// Authorization status of a session key in TokenHolder contract.
+const AuthorizationStatus = {
+  notAuthorized: '0',
+  authorized: '1',
+  revoked: '2'
+};
+
+const SessionStatus = {
+  active: 'active',
+  expired: 'expired',
+  revoked: 'revoked',
+  notAuthorized: 'notAuthorized'
+};
+
 /**
  * It consists of methods for a user's TokenHolder.
  */
@@ -34,13 +52,16 @@ class TokenHolder {
    *
    * @param auxiliaryWeb3 Auxiliary web3 object.
    * @param tokenHolderProxy TokenHolder proxy address of a user.
+   * @param averageBlockTime Optional average block time in seconds used to convert session key expiries.
+   *                         It is measured from recent blocks if not given, see SessionExpiry.
    */
-  constructor(auxiliaryWeb3, tokenHolderProxy) {
+  constructor(auxiliaryWeb3, tokenHolderProxy, averageBlockTime) {
     const oThis = this;
 
     oThis.auxiliaryWeb3 = auxiliaryWeb3;
     oThis.tokenHolderProxy = tokenHolderProxy;
     oThis.abiBinProvider = new AbiBinProvider();
+    oThis.sessionExpiry = new SessionExpiry(auxiliaryWeb3, averageBlockTime);
   }
 
   /**
@@ -62,6 +83,27 @@ class TokenHolder {
     return executableData;
   }
 
+  /**
+   * Authorizes a session which expires after a duration or at a deadline. Expiry is converted to
+   * expiration height, see SessionExpiry.
+   *
+   * @param sessionKey Session key address to authorize.
+   * @param spendingLimit Spending limit of the session key.
+   * @param expiry Expiration height, { duration: seconds } or { deadline: date }.
+   *
+   * @returns {Promise<Object>} Executable data and the expiration height it authorizes the session until.
+   */
+  async getAuthorizeSessionExecutableDataForExpiry(sessionKey, spendingLimit, expiry) {
+    const oThis = this;
+
+    const expirationHeight = await oThis.sessionExpiry.getExpirationHeight(expiry);
+
+    return {
+      executableData: oThis.getAuthorizeSessionExecutableData(sessionKey, spendingLimit, expirationHeight),
+      expirationHeight: expirationHeight
+    };
+  }
+
   /**
    * Revokes session for the specified session key.
    *
@@ -79,6 +121,196 @@ class TokenHolder {
     return executableData;
   }
 
+  /**
+   * Revokes all the authorized sessions of the token holder.
+   *
+   * @returns {*} Executable data to logout.
+   */
+  getLogoutExecutableData() {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(tokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenHolderProxy),
+      executableData = contract.methods.logout().encodeABI();
+
+    return executableData;
+  }
+
+  /**
+   * It revokes session of the session key. It is used when owner of the token holder is not a
+   * gnosis safe e.g. company wallet. From address of txOptions should be the owner.
+   *
+   * @param sessionKey Session key to revoke.
+   * @param txOptions Tx options.
+   *
+   * @returns Promise object.
+   */
+  async revokeSession(sessionKey, txOptions) {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(tokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenHolderProxy),
+      txObject = contract.methods.revokeSession(sessionKey);
+
+    return new TxSender(txObject, oThis.auxiliaryWeb3, txOptions).execute();
+  }
+
+  /**
+   * It revokes all the authorized sessions. It is used when owner of the token holder is not a
+   * gnosis safe e.g. company wallet. From address of txOptions should be the owner.
+   *
+   * @param txOptions Tx options.
+   *
+   * @returns Promise object.
+   */
+  async logout(txOptions) {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(tokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenHolderProxy),
+      txObject = contract.methods.logout();
+
+    return new TxSender(txObject, oThis.auxiliaryWeb3, txOptions).execute();
+  }
+
+  /**
+   * It returns session keys revoked in a transaction by decoding SessionRevoked events of the token holder.
+   * Logs are fetched from chain, as events of the token holder are not decoded in receipts of gnosis safe
+   * transactions.
+   *
+   * @param transactionHash Transaction hash.
+   *
+   * @returns {Promise<Array>} Revoked session keys.
+   */
+  async getRevokedSessionKeys(transactionHash) {
+    const oThis = this;
+
+    const web3 = oThis.auxiliaryWeb3,
+      receipt = await web3.eth.getTransactionReceipt(transactionHash),
+      eventAbi = oThis.abiBinProvider.getABI(tokenHolderContractName).find(function(item) {
+        return item.type === 'event' && item.name === 'SessionRevoked';
+      }),
+      eventSignature = web3.eth.abi.encodeEventSignature(eventAbi);
+
+    return receipt.logs
+      .filter(function(log) {
+        return log.address.toLowerCase() === oThis.tokenHolderProxy.toLowerCase() && log.topics[0] === eventSignature;
+      })
+      .map(function(log) {
+        return web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1))._sessionKey;
+      });
+  }
+
+  /**
+   * It is used to fetch session key data.
+   * Session key data consists:
+   *  - spendingLimit: Spending limit of the session key.
+   *  - expirationHeight: Expiration height of the session key.
+   *  - nonce: Nonce of the session key.
+   *  - status: Authorization status. 0: not authorized, 1: authorized, 2: revoked.
+   *
+   * @param sessionKey Session key address.
+   *
+   * @returns Promise object.
+   */
+  getSessionKeyData(sessionKey) {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(tokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenHolderProxy);
+
+    return contract.methods.sessionKeys(sessionKey).call();
+  }
+
+  /**
+   * It returns session keys which were ever authorized in the token holder, in order of authorization.
+   * Session keys are read from SessionAuthorized events.
+   *
+   * @param fromBlock Optional block from which events are read. Defaults to 0.
+   * @param toBlock Optional block up to which events are read. Defaults to the latest block.
+   *
+   * @returns {Promise<Array>} Session key addresses.
+   */
+  async getSessionKeys(fromBlock, toBlock) {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(tokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenHolderProxy),
+      events = await contract.getPastEvents('SessionAuthorized', {
+        fromBlock: fromBlock || 0,
+        toBlock: toBlock || 'latest'
+      });
+
+    const sessionKeys = [];
+    events.forEach(function(event) {
+      const sessionKey = event.returnValues._sessionKey;
+      if (sessionKeys.indexOf(sessionKey) === -1) {
+        sessionKeys.push(sessionKey);
+      }
+    });
+
+    return sessionKeys;
+  }
+
+  /**
+   * It returns details of all the session keys of the token holder. Session keys are read from
+   * SessionAuthorized events and their details from the contract storage. Block time is measured
+   * once for all the sessions.
+   *
+   * @param fromBlock Optional block from which events are read. Defaults to 0.
+   *
+   * @returns {Promise<Array>} Session details, see inspectSessionKey.
+   */
+  async inspectSessionKeys(fromBlock) {
+    const oThis = this;
+
+    const blockNumber = await oThis.auxiliaryWeb3.eth.getBlockNumber(),
+      sessionKeys = await oThis.getSessionKeys(fromBlock, blockNumber),
+      estimateExpiryTime = sessionKeys.length > 0 ? await oThis._getExpiryTimeEstimator(blockNumber) : null;
+
+    const sessions = [];
+    for (let i = 0; i < sessionKeys.length; i++) {
+      const sessionKeyData = await oThis.getSessionKeyData(sessionKeys[i]);
+      sessions.push(oThis._getSessionDetails(sessionKeys[i], sessionKeyData, blockNumber, estimateExpiryTime));
+    }
+
+    return sessions;
+  }
+
+  /**
+   * It returns details of a session key.
+   * Session details consist:
+   *  - sessionKey: Session key address.
+   *  - spendingLimit: Spending limit of the session key.
+   *  - expirationHeight: Expiration height of the session key.
+   *  - blocksRemaining: Number of blocks after which session expires. It is 0 for expired sessions.
+   *  - estimatedExpiryTime: Estimated unix timestamp in seconds at which session expires, see SessionExpiry.
+   *                         It is null for sessions which are not authorized, or if block time
+   *                         cannot be measured.
+   *  - nonce: Current nonce of the session key.
+   *  - status: 'active', 'expired', 'revoked' or 'notAuthorized'.
+   *
+   * @param sessionKey Session key address.
+   * @param blockNumber Optional block height against which expiration is checked. Defaults to the latest block.
+   *
+   * @returns {Promise<Object>} Session details.
+   */
+  async inspectSessionKey(sessionKey, blockNumber) {
+    const oThis = this;
+
+    if (blockNumber === undefined || blockNumber === null) {
+      blockNumber = await oThis.auxiliaryWeb3.eth.getBlockNumber();
+    }
+
+    const sessionKeyData = await oThis.getSessionKeyData(sessionKey),
+      estimateExpiryTime =
+        sessionKeyData.status.toString() === AuthorizationStatus.notAuthorized
+          ? null
+          : await oThis._getExpiryTimeEstimator(blockNumber);
+
+    return oThis._getSessionDetails(sessionKey, sessionKeyData, blockNumber, estimateExpiryTime);
+  }
+
   /**
    * It is used to get call prefix of executeRule method in TokenHolder contract.
    *
@@ -117,6 +349,281 @@ class TokenHolder {
     return receipt;
   }
 
+  /**
+   * It signs an executeRule transaction with the session key as per EIP-1077.
+   *
+   * @param sessionKey Session key account which has signEIP1077Transaction method e.g. web3 wallet account.
+   * @param to The target rule contract address.
+   * @param data The payload of a function to be executed in the target rule.
+   * @param nonce Optional nonce of the session key. Defaults to the nonce from the contract.
+   *
+   * @returns {Promise<Object>} Signed transaction with to, data, nonce, r, s, v and messageHash.
+   */
+  async signExecuteRule(sessionKey, to, data, nonce) {
+    const oThis = this;
+
+    return oThis._signExecution(sessionKey, to, data, nonce, oThis.getTokenHolderExecuteRuleCallPrefix());
+  }
+
+  /**
+   * It signs the executable data with the session key and executes it in the target rule.
+   *
+   * @param sessionKey Session key account which has signEIP1077Transaction method e.g. web3 wallet account.
+   * @param to The target rule contract address.
+   * @param data The payload of a function to be executed in the target rule.
+   * @param txOptions Tx options.
+   * @param nonce Optional nonce of the session key. Defaults to the nonce from the contract.
+   *
+   * @returns Promise object.
+   */
+  async executeRuleWithSessionKey(sessionKey, to, data, txOptions, nonce) {
+    const oThis = this;
+
+    const signedTransaction = await oThis.signExecuteRule(sessionKey, to, data, nonce);
+
+    return oThis.executeRule(
+      signedTransaction.to,
+      signedTransaction.data,
+      signedTransaction.nonce,
+      signedTransaction.r,
+      signedTransaction.s,
+      signedTransaction.v,
+      txOptions
+    );
+  }
+
+  /**
+   * It returns executable data of CoGateway redeem method. It is executed through executeRedemption
+   * to redeem tokens of the token holder back to the origin chain.
+   *
+   * @param amount Amount of tokens to redeem.
+   * @param beneficiary Address on the origin chain where the redeemed tokens are unstaked.
+   * @param gasPrice Gas price which the facilitator pays for the unstake on the origin chain.
+   * @param gasLimit Maximum gas which the facilitator is rewarded for.
+   * @param nonce Redeem nonce of the token holder in CoGateway.
+   * @param hashLock Hash lock of the secret which is used to progress the redemption.
+   *
+   * @returns {String} Executable data of redeem.
+   */
+  getCoGatewayRedeemExecutableData(amount, beneficiary, gasPrice, gasLimit, nonce, hashLock) {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(coGatewayContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface);
+
+    return contract.methods.redeem(amount, beneficiary, gasPrice, gasLimit, nonce, hashLock).encodeABI();
+  }
+
+  /**
+   * It is used to get call prefix of executeRedemption method from TokenHolder contract.
+   *
+   * @returns Promise object which resolves to call prefix of executeRedemption.
+   */
+  getTokenHolderExecuteRedemptionCallPrefix() {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(tokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenHolderProxy);
+
+    return contract.methods.EXECUTE_REDEMPTION_CALLPREFIX().call();
+  }
+
+  /**
+   * It signs an executeRedemption transaction with the session key as per EIP-1077.
+   *
+   * @param sessionKey Session key account which has signEIP1077Transaction method e.g. web3 wallet account.
+   * @param coGateway CoGateway contract address.
+   * @param data Executable data of CoGateway redeem, see getCoGatewayRedeemExecutableData.
+   * @param nonce Optional nonce of the session key. Defaults to the nonce from the contract.
+   *
+   * @returns {Promise<Object>} Signed transaction with to, data, nonce, r, s, v and messageHash.
+   */
+  async signExecuteRedemption(sessionKey, coGateway, data, nonce) {
+    const oThis = this;
+
+    const callPrefix = await oThis.getTokenHolderExecuteRedemptionCallPrefix();
+
+    return oThis._signExecution(sessionKey, coGateway, data, nonce, callPrefix);
+  }
+
+  /**
+   * It is used to execute redemption signed by a session key.
+   *
+   * @param to CoGateway contract address.
+   * @param data Executable data of CoGateway redeem.
+   * @param nonce The nonce of an session key that was used to sign the transaction.
+   * @param r `r` part of the signature.
+   * @param s `s` part of the signature.
+   * @param v `v` part of the signature.
+   * @param txOptions Tx options. Value is the bounty paid to CoGateway.
+   *
+   * @returns Promise object.
+   */
+  async executeRedemption(to, data, nonce, r, s, v, txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._executeRedemptionRawTx(to, data, nonce, r, s, v),
+      receipt = await new TxSender(txObject, oThis.auxiliaryWeb3, txOptions).execute();
+
+    return receipt;
+  }
+
+  /**
+   * It signs the redeem executable data with the session key and executes it in CoGateway.
+   *
+   * @param sessionKey Session key account which has signEIP1077Transaction method e.g. web3 wallet account.
+   * @param coGateway CoGateway contract address.
+   * @param data Executable data of CoGateway redeem, see getCoGatewayRedeemExecutableData.
+   * @param txOptions Tx options. Value is the bounty paid to CoGateway.
+   * @param nonce Optional nonce of the session key. Defaults to the nonce from the contract.
+   *
+   * @returns Promise object.
+   */
+  async executeRedemptionWithSessionKey(sessionKey, coGateway, data, txOptions, nonce) {
+    const oThis = this;
+
+    const signedTransaction = await oThis.signExecuteRedemption(sessionKey, coGateway, data, nonce);
+
+    return oThis.executeRedemption(
+      signedTransaction.to,
+      signedTransaction.data,
+      signedTransaction.nonce,
+      signedTransaction.r,
+      signedTransaction.s,
+      signedTransaction.v,
+      txOptions
+    );
+  }
+
+  /**
+   * It returns decoded events of the token holder emitted in the block range. See ContractEvents.
+   *
+   * @param eventName Name of the event.
+   * @param fromBlock Optional start block. Defaults to 0.
+   * @param toBlock Optional end block. Defaults to the latest block.
+   *
+   * @returns {Promise<Array>} Decoded events.
+   */
+  getPastEvents(eventName, fromBlock, toBlock) {
+    const oThis = this;
+
+    return oThis._getContractEvents().getPastEvents(eventName, fromBlock, toBlock);
+  }
+
+  /**
+   * It subscribes to an event of the token holder. See ContractEvents.subscribe.
+   *
+   * @param eventName Name of the event.
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  subscribe(eventName, callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis._getContractEvents().subscribe(eventName, callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to RuleExecuted events of the token holder. Event has message hash and execution status.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onRuleExecuted(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('RuleExecuted', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to RedemptionExecuted events of the token holder. Event has message hash and execution status.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onRedemptionExecuted(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('RedemptionExecuted', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to SessionAuthorized events of the token holder.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onSessionAuthorized(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('SessionAuthorized', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to SessionRevoked events of the token holder.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onSessionRevoked(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('SessionRevoked', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It returns events provider of the token holder.
+   *
+   * @returns {ContractEvents}
+   * @private
+   */
+  _getContractEvents() {
+    const oThis = this;
+
+    return new ContractEvents(
+      oThis.auxiliaryWeb3,
+      oThis.abiBinProvider.getABI(tokenHolderContractName),
+      oThis.tokenHolderProxy
+    );
+  }
+
+  /**
+   * Private method which is used to execute redemption signed by a session key.
+   *
+   * @param to CoGateway contract address.
+   * @param data Executable data of CoGateway redeem.
+   * @param nonce The nonce of an session key that was used to sign the transaction.
+   * @param r `r` part of the signature.
+   * @param s `s` part of the signature.
+   * @param v `v` part of the signature.
+   *
+   * @returns {Object} Raw transaction object.
+   * @private
+   */
+  _executeRedemptionRawTx(to, data, nonce, r, s, v) {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(tokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenHolderProxy);
+
+    return contract.methods.executeRedemption(to, data, nonce, r, s, v);
+  }
+
   /**
    * Private method which is used to execute executable data signed by a session key.
    *
@@ -136,6 +643,112 @@ class TokenHolder {
 
     return contract.methods.executeRule(to, data, nonce, r, s, v);
   }
+
+  /**
+   * It signs an execution of the token holder with the session key as per EIP-1077.
+   *
+   * @param sessionKey Session key account which has signEIP1077Transaction method.
+   * @param to The target contract address.
+   * @param data The payload of a function to be executed in the target contract.
+   * @param nonce Optional nonce of the session key. Defaults to the nonce from the contract.
+   * @param callPrefix Call prefix of the token holder method which executes the payload.
+   *
+   * @returns {Promise<Object>} Signed transaction with to, data, nonce, r, s, v and messageHash.
+   * @private
+   */
+  async _signExecution(sessionKey, to, data, nonce, callPrefix) {
+    const oThis = this;
+
+    if (nonce === undefined || nonce === null) {
+      const sessionKeyData = await oThis.getSessionKeyData(sessionKey.address);
+      nonce = sessionKeyData.nonce;
+    }
+
+    const transaction = {
+      from: oThis.tokenHolderProxy,
+      to: to,
+      data: data,
+      nonce: nonce,
+      callPrefix: callPrefix,
+      value: 0,
+      gasPrice: 0,
+      gas: 0
+    };
+
+    const vrs = sessionKey.signEIP1077Transaction(transaction);
+
+    return {
+      to: to,
+      data: data,
+      nonce: nonce.toString(),
+      r: vrs.r,
+      s: vrs.s,
+      v: vrs.v,
+      messageHash: vrs.messageHash
+    };
+  }
+
+  /**
+   * It measures block time once and returns a function which estimates expiry time of an expiration height.
+   *
+   * @param blockNumber Block from which expiry time is estimated.
+   *
+   * @returns {Promise<Function|null>} Estimator, see SessionExpiry.getExpiryTimeEstimator. Null if block time
+   *                                  cannot be measured.
+   * @private
+   */
+  async _getExpiryTimeEstimator(blockNumber) {
+    const oThis = this;
+
+    try {
+      return await oThis.sessionExpiry.getExpiryTimeEstimator(blockNumber);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * It returns session details, see inspectSessionKey.
+   *
+   * @param sessionKey Session key address.
+   * @param sessionKeyData Session key data as stored in the contract.
+   * @param blockNumber Block height against which expiration is checked.
+   * @param estimateExpiryTime Estimator of expiry time. Expiry time is null if not given.
+   *
+   * @returns {Object} Session details.
+   * @private
+   */
+  _getSessionDetails(sessionKey, sessionKeyData, blockNumber, estimateExpiryTime) {
+    const oThis = this;
+
+    const expirationHeight = oThis.auxiliaryWeb3.utils.toBN(sessionKeyData.expirationHeight),
+      currentBlock = oThis.auxiliaryWeb3.utils.toBN(blockNumber),
+      isExpired = expirationHeight.lte(currentBlock);
+
+    let status;
+    if (sessionKeyData.status.toString() === AuthorizationStatus.revoked) {
+      status = SessionStatus.revoked;
+    } else if (sessionKeyData.status.toString() === AuthorizationStatus.notAuthorized) {
+      status = SessionStatus.notAuthorized;
+    } else {
+      status = isExpired ? SessionStatus.expired : SessionStatus.active;
+    }
+
+    return {
+      sessionKey: sessionKey,
+      spendingLimit: sessionKeyData.spendingLimit.toString(),
+      expirationHeight: expirationHeight.toString(10),
+      blocksRemaining: isExpired ? '0' : expirationHeight.sub(currentBlock).toString(10),
+      estimatedExpiryTime:
+        status !== SessionStatus.notAuthorized && estimateExpiryTime
+          ? estimateExpiryTime(expirationHeight.toString(10))
+          : null,
+      nonce: sessionKeyData.nonce.toString(),
+      status: status
+    };
+  }
 }
 
+TokenHolder.AuthorizationStatus = AuthorizationStatus;
+
 module.exports = TokenHolder;
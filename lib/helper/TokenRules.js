@@ -22,7 +22,21 @@
 
 const AbiBinProvider = require('../AbiBinProvider'),
   contractName = 'TokenRules',
-  TxSender = require('../../utils/TxSender');
+  TxSender = require('../../utils/TxSender'),
+  ContractEvents = require('../../utils/ContractEvents'),
+  ValidationError = require('../errors/ValidationError');
+
+// Discrepancies between RuleRegistered events and the rules in contract storage.
+const RuleDiscrepancy = {
+  missingInStorage: 'MissingInStorage',
+  missingEvent: 'MissingEvent',
+  invalidAbi: 'InvalidAbi'
+};
+
+// Errors of a call which failed in the contract, e.g. reading past the end of an array. Nodes which don't
+// report a failed call return empty data, which web3 fails to decode. Error text depends on the node, so
+// it is only used to find the end of the rules array beyond the registered rules.
+const FailedCallErrorPattern = /revert|invalid opcode|opcode 0xfe|returned values aren't valid/i;
 
 /**
  * It is used to register an custom rule and fetch the registered rules.
@@ -33,11 +47,14 @@ class TokenRules {
    *
    * @param tokenRules Address of token rules contract of an economy.
    * @param auxiliaryWeb3 Auxiliary chain web3.
+   * @param ruleRegistry Optional RuleRegistry of the token rules. Rule lookups are served from it when
+   *                     the rule is cached, otherwise they are read from the contract and cached.
    */
-  constructor(tokenRules, auxiliaryWeb3) {
+  constructor(tokenRules, auxiliaryWeb3, ruleRegistry) {
     const oThis = this;
     oThis.tokenRules = tokenRules;
     oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.ruleRegistry = ruleRegistry || null;
     oThis.abiBinProvider = new AbiBinProvider();
   }
 
@@ -60,6 +77,24 @@ class TokenRules {
     return txReceipt;
   }
 
+  /**
+   * It is used to estimate gas for registration of a custom rule. Nothing is broadcasted.
+   *
+   * @param ruleName Name of the rule.
+   * @param ruleAddress Contract address of the rule.
+   * @param ruleAbi Abi of the rule.
+   * @param txOptions Tx options.
+   *
+   * @return {Promise<Number>} Estimated gas.
+   */
+  async estimateRegisterRule(ruleName, ruleAddress, ruleAbi, txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._registerRuleRawTx(ruleName, ruleAddress, ruleAbi);
+
+    return new TxSender(txObject, oThis.auxiliaryWeb3, txOptions).estimateGas();
+  }
+
   /**
    * It is used to get the executable data for directTransfers method of TokenRules.
    *
@@ -78,6 +113,228 @@ class TokenRules {
     return directTransferExecutableData;
   }
 
+  /**
+   * It is used to get the executable data for enableDirectTransfers method of TokenRules.
+   * It should be executed by a worker of the organization.
+   *
+   * @returns Executable data of enableDirectTransfers method.
+   */
+  getEnableDirectTransfersExecutableData() {
+    const oThis = this;
+
+    return oThis
+      ._getContract()
+      .methods.enableDirectTransfers()
+      .encodeABI();
+  }
+
+  /**
+   * It is used to get the executable data for disableDirectTransfers method of TokenRules.
+   * It should be executed by a worker of the organization.
+   *
+   * @returns Executable data of disableDirectTransfers method.
+   */
+  getDisableDirectTransfersExecutableData() {
+    const oThis = this;
+
+    return oThis
+      ._getContract()
+      .methods.disableDirectTransfers()
+      .encodeABI();
+  }
+
+  /**
+   * It enables direct transfers in the economy.
+   *
+   * @param txOptions Tx options. `from` should be a worker of the organization.
+   *
+   * @returns {Promise<Object>} Transaction receipt.
+   */
+  enableDirectTransfers(txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._getContract().methods.enableDirectTransfers();
+
+    return new TxSender(txObject, oThis.auxiliaryWeb3, txOptions).execute();
+  }
+
+  /**
+   * It disables direct transfers in the economy, e.g. during an incident. Transfers through
+   * registered rules are not affected.
+   *
+   * @param txOptions Tx options. `from` should be a worker of the organization.
+   *
+   * @returns {Promise<Object>} Transaction receipt.
+   */
+  disableDirectTransfers(txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._getContract().methods.disableDirectTransfers();
+
+    return new TxSender(txObject, oThis.auxiliaryWeb3, txOptions).execute();
+  }
+
+  /**
+   * It signs a transaction which enables direct transfers, without broadcasting it. Signed transaction
+   * can be sent later with web3.eth.sendSignedTransaction, e.g. when worker key is kept offline.
+   *
+   * @param worker Worker account which has signTransaction method e.g. web3 wallet account.
+   * @param txOptions Tx options with gas, gasPrice and optional nonce.
+   *
+   * @returns {Promise<Object>} Signed transaction with rawTransaction.
+   */
+  signEnableDirectTransfers(worker, txOptions) {
+    const oThis = this;
+
+    return oThis._signWorkerTransaction(worker, oThis.getEnableDirectTransfersExecutableData(), txOptions);
+  }
+
+  /**
+   * It signs a transaction which disables direct transfers, without broadcasting it. See signEnableDirectTransfers.
+   *
+   * @param worker Worker account which has signTransaction method e.g. web3 wallet account.
+   * @param txOptions Tx options with gas, gasPrice and optional nonce.
+   *
+   * @returns {Promise<Object>} Signed transaction with rawTransaction.
+   */
+  signDisableDirectTransfers(worker, txOptions) {
+    const oThis = this;
+
+    return oThis._signWorkerTransaction(worker, oThis.getDisableDirectTransfersExecutableData(), txOptions);
+  }
+
+  /**
+   * It is used to get the executable data for allowTransfers method of TokenRules. Transfers are allowed
+   * for the caller, so it should be executed by a token holder. Note that TokenHolder allows transfers
+   * by itself for the duration of a rule execution.
+   *
+   * @returns Executable data of allowTransfers method.
+   */
+  getAllowTransfersExecutableData() {
+    const oThis = this;
+
+    return oThis
+      ._getContract()
+      .methods.allowTransfers()
+      .encodeABI();
+  }
+
+  /**
+   * It is used to get the executable data for disallowTransfers method of TokenRules. Transfers are
+   * disallowed for the caller, so it should be executed by a token holder.
+   *
+   * @returns Executable data of disallowTransfers method.
+   */
+  getDisallowTransfersExecutableData() {
+    const oThis = this;
+
+    return oThis
+      ._getContract()
+      .methods.disallowTransfers()
+      .encodeABI();
+  }
+
+  /**
+   * It checks if direct transfers are enabled in the economy.
+   *
+   * @returns {Promise<Boolean>} True if direct transfers are enabled.
+   */
+  areDirectTransfersEnabled() {
+    const oThis = this;
+
+    return oThis
+      ._getContract()
+      .methods.areDirectTransfersEnabled()
+      .call();
+  }
+
+  /**
+   * It checks if transfers from an address are allowed at the moment, outside of a rule execution.
+   *
+   * @param from Address of the token holder.
+   *
+   * @returns {Promise<Boolean>} True if transfers are allowed.
+   */
+  areTransfersAllowed(from) {
+    const oThis = this;
+
+    return oThis
+      ._getContract()
+      .methods.allowedTransfers(from)
+      .call();
+  }
+
+  /**
+   * It reports whether a token holder can currently transfer directly.
+   *
+   * Status consists:
+   *  - directTransfersEnabled: True if direct transfers are enabled in the economy.
+   *  - isEconomyTokenHolder: True if token rules of the token holder is this token rules.
+   *  - transfersAllowed: True if transfers from the token holder are allowed outside of a rule execution.
+   *                      TokenHolder allows transfers by itself while executing a rule, so this is
+   *                      expected to be false.
+   *  - canTransferDirectly: True if direct transfers executed by the token holder would be accepted.
+   *
+   * @param tokenHolder TokenHolder proxy address.
+   *
+   * @returns {Promise<Object>} Status.
+   */
+  async getDirectTransferStatus(tokenHolder) {
+    const oThis = this;
+
+    const tokenHolderContract = new oThis.auxiliaryWeb3.eth.Contract(
+      oThis.abiBinProvider.getABI('TokenHolder'),
+      tokenHolder
+    );
+
+    const directTransfersEnabled = await oThis.areDirectTransfersEnabled(),
+      transfersAllowed = await oThis.areTransfersAllowed(tokenHolder),
+      tokenHolderTokenRules = await tokenHolderContract.methods.tokenRules().call(),
+      isEconomyTokenHolder = tokenHolderTokenRules.toLowerCase() === oThis.tokenRules.toLowerCase();
+
+    return {
+      directTransfersEnabled: directTransfersEnabled,
+      isEconomyTokenHolder: isEconomyTokenHolder,
+      transfersAllowed: transfersAllowed,
+      canTransferDirectly: directTransfersEnabled && isEconomyTokenHolder
+    };
+  }
+
+  /**
+   * It signs a transaction of a worker to token rules.
+   *
+   * @param worker Worker account which has signTransaction method.
+   * @param data Executable data.
+   * @param txOptions Tx options with gas, gasPrice and optional nonce.
+   *
+   * @returns {Promise<Object>} Signed transaction.
+   * @private
+   */
+  _signWorkerTransaction(worker, data, txOptions) {
+    const oThis = this;
+
+    const transaction = Object.assign({}, txOptions, {
+      from: worker.address,
+      to: oThis.tokenRules,
+      data: data,
+      value: 0
+    });
+
+    return worker.signTransaction(transaction);
+  }
+
+  /**
+   * It returns TokenRules contract object.
+   *
+   * @returns {Object} Contract object.
+   * @private
+   */
+  _getContract() {
+    const oThis = this;
+
+    return new oThis.auxiliaryWeb3.eth.Contract(oThis.abiBinProvider.getABI(contractName), oThis.tokenRules);
+  }
+
   /**
    * Private method which is used to register a custom rule in the economy.
    *
@@ -108,6 +365,11 @@ class TokenRules {
   async getRuleByName(ruleName) {
     const oThis = this;
 
+    const cachedRule = oThis._getCachedRule('getRuleByName', ruleName);
+    if (cachedRule) {
+      return cachedRule;
+    }
+
     const jsonInterface = oThis.abiBinProvider.getABI(contractName),
       contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenRules);
 
@@ -115,9 +377,40 @@ class TokenRules {
       ruleIndex = await contract.methods.rulesByNameHash(ruleNameHash).call(),
       rule = await contract.methods.rules(ruleIndex.index).call();
 
+    if (ruleIndex.exists) {
+      oThis._cacheRule(rule);
+    }
+
     return rule;
   }
 
+  /**
+   * It is used to check if a rule is registered with the given name.
+   *
+   * @param ruleName Name of the rule.
+   *
+   * @returns {Promise<Boolean>} True if rule is registered.
+   */
+  async isRuleRegistered(ruleName) {
+    const oThis = this;
+
+    if (oThis._getCachedRule('getRuleByName', ruleName)) {
+      return true;
+    }
+
+    const jsonInterface = oThis.abiBinProvider.getABI(contractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenRules);
+
+    const ruleNameHash = oThis.auxiliaryWeb3.utils.soliditySha3({ t: 'string', v: ruleName }),
+      ruleIndex = await contract.methods.rulesByNameHash(ruleNameHash).call();
+
+    if (ruleIndex.exists && oThis.ruleRegistry) {
+      oThis._cacheRule(await contract.methods.rules(ruleIndex.index).call());
+    }
+
+    return ruleIndex.exists;
+  }
+
   /**
    * It is used to fetch rule data by its address.
    * Rule data consists:
@@ -132,14 +425,577 @@ class TokenRules {
   async getRuleByAddress(ruleAddress) {
     const oThis = this;
 
+    const cachedRule = oThis._getCachedRule('getRuleByAddress', ruleAddress);
+    if (cachedRule) {
+      return cachedRule;
+    }
+
     const jsonInterface = oThis.abiBinProvider.getABI(contractName),
       contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenRules);
 
     const ruleIndex = await contract.methods.rulesByAddress(ruleAddress).call(),
       rule = await contract.methods.rules(ruleIndex.index).call();
 
+    if (ruleIndex.exists) {
+      oThis._cacheRule(rule);
+    }
+
+    return rule;
+  }
+
+  /**
+   * It returns the rule registered at an address. Unlike getRuleByAddress, it resolves to null
+   * if no rule is registered at the address.
+   *
+   * @param ruleAddress Address of the rule contract.
+   *
+   * @returns {Promise<Object|null>} Rule data with ruleName, ruleAddress and ruleAbi. Null if not registered.
+   */
+  async findRuleByAddress(ruleAddress) {
+    const oThis = this;
+
+    const cachedRule = oThis._getCachedRule('getRuleByAddress', ruleAddress);
+    if (cachedRule) {
+      return cachedRule;
+    }
+
+    const jsonInterface = oThis.abiBinProvider.getABI(contractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenRules),
+      ruleIndex = await contract.methods.rulesByAddress(ruleAddress).call();
+
+    if (!ruleIndex.exists) {
+      return null;
+    }
+
+    const rule = await contract.methods.rules(ruleIndex.index).call();
+    oThis._cacheRule(rule);
+
     return rule;
   }
+
+  /**
+   * It returns functions of a registered rule as per the ABI stored in token rules.
+   *
+   * @param ruleName Name of the rule.
+   *
+   * @returns {Promise<Array>} Function ABIs. It is rejected with ValidationError if rule is not registered.
+   */
+  async getRuleMethods(ruleName) {
+    const oThis = this;
+
+    const rule = await oThis._getRegisteredRule(ruleName);
+
+    return rule.ruleAbi.filter(function(item) {
+      return item.type === 'function';
+    });
+  }
+
+  /**
+   * It builds executable data for a method of a registered rule using the ABI stored in token rules,
+   * so rules which are not known to this package can be invoked. Arguments are validated against the
+   * ABI types before encoding. Overloaded methods are resolved by number of arguments.
+   *
+   * The returned `to` and `data` can be executed through the token holder, see TokenHolder.executeRule.
+   *
+   * @param ruleName Name of the rule.
+   * @param methodName Name of the rule method.
+   * @param args List of arguments in ABI order, or an object of arguments keyed by ABI input name.
+   *
+   * @returns {Promise<Object>} Object with to (rule address), data and signature of the method.
+   *                            It is rejected with ValidationError if rule, method or arguments are invalid.
+   */
+  async getRuleExecutableData(ruleName, methodName, args) {
+    const oThis = this;
+
+    const rule = await oThis._getRegisteredRule(ruleName),
+      argsIsList = Array.isArray(args);
+
+    args = args || [];
+
+    const methodAbi = rule.ruleAbi.find(function(item) {
+      return (
+        item.type === 'function' && item.name === methodName && (!argsIsList || item.inputs.length === args.length)
+      );
+    });
+
+    if (!methodAbi) {
+      throw new ValidationError(
+        ValidationError.Codes.unknownMethod,
+        'methodName',
+        'Rule: ' +
+          ruleName +
+          ' has no method: ' +
+          methodName +
+          (argsIsList ? ' with ' + args.length + ' arguments.' : '.')
+      );
+    }
+
+    const values = methodAbi.inputs.map(function(input, index) {
+      const value = argsIsList ? args[index] : args[input.name],
+        field = argsIsList ? 'args[' + index + ']' : 'args.' + input.name;
+
+      oThis._validateArgument(input.type, value, field);
+
+      return value;
+    });
+
+    return {
+      to: rule.ruleAddress,
+      data: oThis.auxiliaryWeb3.eth.abi.encodeFunctionCall(methodAbi, values),
+      signature: oThis.auxiliaryWeb3.eth.abi.encodeFunctionSignature(methodAbi)
+    };
+  }
+
+  /**
+   * It returns a registered rule with parsed ABI.
+   *
+   * @param ruleName Name of the rule.
+   *
+   * @returns {Promise<Object>} Rule with ruleName, ruleAddress and ruleAbi.
+   * @private
+   */
+  async _getRegisteredRule(ruleName) {
+    const oThis = this;
+
+    if (!(await oThis.isRuleRegistered(ruleName))) {
+      throw new ValidationError(
+        ValidationError.Codes.ruleNotRegistered,
+        'ruleName',
+        'Rule: ' + ruleName + ' is not registered in token rules: ' + oThis.tokenRules
+      );
+    }
+
+    const rule = await oThis.getRuleByName(ruleName);
+
+    let ruleAbi;
+    try {
+      ruleAbi = JSON.parse(rule.ruleAbi);
+    } catch (error) {
+      ruleAbi = null;
+    }
+    if (!Array.isArray(ruleAbi)) {
+      throw new ValidationError(
+        ValidationError.Codes.invalidData,
+        'ruleAbi',
+        'Registered ABI of rule: ' + ruleName + ' is not a valid JSON interface.'
+      );
+    }
+
+    return {
+      ruleName: rule.ruleName,
+      ruleAddress: rule.ruleAddress,
+      ruleAbi: ruleAbi
+    };
+  }
+
+  /**
+   * It validates an argument against its ABI type. Arrays are validated item by item.
+   *
+   * @param type ABI type e.g. address, uint256, bytes32, address[].
+   * @param value Argument value.
+   * @param field Name of the argument used in validation errors.
+   * @private
+   */
+  _validateArgument(type, value, field) {
+    const oThis = this;
+
+    const web3Utils = oThis.auxiliaryWeb3.utils,
+      invalid = function(reason) {
+        return new ValidationError(
+          ValidationError.Codes.invalidArgument,
+          field,
+          'Argument ' + field + ' is not a valid ' + type + (reason ? ', ' + reason : '') + '.'
+        );
+      };
+
+    const arrayMatch = /^(.*)\[(\d*)\]$/.exec(type);
+    if (arrayMatch) {
+      if (!Array.isArray(value) || (arrayMatch[2] !== '' && value.length !== parseInt(arrayMatch[2]))) {
+        throw invalid(arrayMatch[2] !== '' ? 'expected a list of ' + arrayMatch[2] + ' items' : 'expected a list');
+      }
+      value.forEach(function(item, index) {
+        oThis._validateArgument(arrayMatch[1], item, field + '[' + index + ']');
+      });
+      return;
+    }
+
+    const intMatch = /^(u?)int(\d*)$/.exec(type);
+    if (intMatch) {
+      const isInteger =
+        web3Utils.isBN(value) ||
+        (typeof value === 'number' && Number.isSafeInteger(value)) ||
+        (typeof value === 'string' && /^(-?\d+|0x[0-9a-fA-F]+)$/.test(value));
+      if (!isInteger) {
+        throw invalid('expected an integer');
+      }
+      const number = web3Utils.toBN(value),
+        bits = parseInt(intMatch[2] || '256'),
+        signedLimit = web3Utils.toBN(1).shln(bits - 1);
+      const isOutOfRange =
+        intMatch[1] === 'u'
+          ? number.isNeg() || number.bitLength() > bits
+          : number.lt(signedLimit.neg()) || number.gte(signedLimit);
+      if (isOutOfRange) {
+        throw invalid('out of range');
+      }
+      return;
+    }
+
+    const bytesMatch = /^bytes(\d*)$/.exec(type);
+    if (bytesMatch) {
+      if (typeof value !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(value)) {
+        throw invalid('expected a hex string');
+      }
+      if (bytesMatch[1] !== '' && (value.length - 2) / 2 > parseInt(bytesMatch[1])) {
+        throw invalid('expected at most ' + bytesMatch[1] + ' bytes');
+      }
+      return;
+    }
+
+    if (type === 'address' && !web3Utils.isAddress(value)) {
+      throw invalid();
+    }
+    if (type === 'bool' && typeof value !== 'boolean') {
+      throw invalid('expected true or false');
+    }
+    if (type === 'string' && typeof value !== 'string') {
+      throw invalid();
+    }
+
+    try {
+      oThis.auxiliaryWeb3.eth.abi.encodeParameter(type, value);
+    } catch (error) {
+      throw invalid(error.message);
+    }
+  }
+
+  /**
+   * It lists all the rules registered in token rules. Rules are read from the rules array of the
+   * contract storage and cross-checked with the RuleRegistered events.
+   *
+   * Rule consists:
+   *  - index: Index of the rule in the rules array.
+   *  - ruleName: Name of the rule.
+   *  - ruleAddress: Contract address of the rule.
+   *  - ruleAbi: Parsed JSON interface of the rule. Null if it is not a valid JSON.
+   *  - blockNumber, transactionHash: Registration transaction as per RuleRegistered event. Null if event is missing.
+   *
+   * Discrepancy consists type, ruleName and ruleAddress. Type is one of TokenRules.RuleDiscrepancy:
+   *  - MissingInStorage: RuleRegistered event is emitted but rule is not found in storage.
+   *  - MissingEvent: Rule is found in storage but RuleRegistered event is not found.
+   *  - InvalidAbi: Registered ABI of the rule is not a valid JSON.
+   *
+   * @param fromBlock Optional block from which events are read, e.g. deployment block of token rules. Defaults to 0.
+   *
+   * @returns {Promise<Object>} Object with rules and discrepancies.
+   */
+  async listRules(fromBlock) {
+    const oThis = this;
+
+    const events = await oThis.getPastEvents('RuleRegistered', fromBlock),
+      storedRules = await oThis._getStoredRules(events.length),
+      discrepancies = [];
+
+    const rules = storedRules.map(function(storedRule, index) {
+      const event = events.find(function(item) {
+        return (
+          item.returnValues._ruleAddress.toLowerCase() === storedRule.ruleAddress.toLowerCase() &&
+          item.returnValues._ruleName === storedRule.ruleName
+        );
+      });
+
+      let ruleAbi = null;
+      try {
+        ruleAbi = JSON.parse(storedRule.ruleAbi);
+      } catch (error) {
+        discrepancies.push(
+          oThis._getDiscrepancy(RuleDiscrepancy.invalidAbi, storedRule.ruleName, storedRule.ruleAddress)
+        );
+      }
+
+      if (!event) {
+        discrepancies.push(
+          oThis._getDiscrepancy(RuleDiscrepancy.missingEvent, storedRule.ruleName, storedRule.ruleAddress)
+        );
+      }
+
+      return {
+        index: index,
+        ruleName: storedRule.ruleName,
+        ruleAddress: storedRule.ruleAddress,
+        ruleAbi: ruleAbi,
+        blockNumber: event ? event.blockNumber : null,
+        transactionHash: event ? event.transactionHash : null
+      };
+    });
+
+    events.forEach(function(event) {
+      const isStored = storedRules.some(function(storedRule) {
+        return (
+          storedRule.ruleAddress.toLowerCase() === event.returnValues._ruleAddress.toLowerCase() &&
+          storedRule.ruleName === event.returnValues._ruleName
+        );
+      });
+      if (!isStored) {
+        discrepancies.push(
+          oThis._getDiscrepancy(
+            RuleDiscrepancy.missingInStorage,
+            event.returnValues._ruleName,
+            event.returnValues._ruleAddress
+          )
+        );
+      }
+    });
+
+    return {
+      rules: rules,
+      discrepancies: discrepancies
+    };
+  }
+
+  /**
+   * It compares registered rules with the expected rules, e.g. for audits. Rules are matched by name.
+   *
+   * Diff consists:
+   *  - ok: True if registered rules are exactly the expected rules and there is no discrepancy.
+   *  - missing: Expected rules which are not registered.
+   *  - unexpected: Registered rules which are not expected.
+   *  - mismatched: List of { ruleName, fields, expected, registered }. Fields lists the differing
+   *                fields, ruleAddress and/or ruleAbi.
+   *  - discrepancies: Discrepancies between events and storage, see listRules.
+   *
+   * @param expectedRules List of { ruleName, ruleAddress, ruleAbi }. ruleAbi is optional, it is compared
+   *                      only if given. It can be a JSON string or parsed JSON interface.
+   * @param fromBlock Optional block from which events are read.
+   *
+   * @returns {Promise<Object>} Diff.
+   */
+  async diffRules(expectedRules, fromBlock) {
+    const oThis = this;
+
+    const listing = await oThis.listRules(fromBlock),
+      missing = [],
+      mismatched = [];
+
+    expectedRules.forEach(function(expectedRule) {
+      const registeredRule = listing.rules.find(function(rule) {
+        return rule.ruleName === expectedRule.ruleName;
+      });
+
+      if (!registeredRule) {
+        missing.push(expectedRule);
+        return;
+      }
+
+      const fields = [];
+      if (registeredRule.ruleAddress.toLowerCase() !== expectedRule.ruleAddress.toLowerCase()) {
+        fields.push('ruleAddress');
+      }
+      if (expectedRule.ruleAbi !== undefined && !oThis._isSameAbi(expectedRule.ruleAbi, registeredRule.ruleAbi)) {
+        fields.push('ruleAbi');
+      }
+      if (fields.length > 0) {
+        mismatched.push({
+          ruleName: expectedRule.ruleName,
+          fields: fields,
+          expected: expectedRule,
+          registered: registeredRule
+        });
+      }
+    });
+
+    const unexpected = listing.rules.filter(function(rule) {
+      return !expectedRules.some(function(expectedRule) {
+        return expectedRule.ruleName === rule.ruleName;
+      });
+    });
+
+    return {
+      ok:
+        missing.length === 0 &&
+        unexpected.length === 0 &&
+        mismatched.length === 0 &&
+        listing.discrepancies.length === 0,
+      missing: missing,
+      unexpected: unexpected,
+      mismatched: mismatched,
+      discrepancies: listing.discrepancies
+    };
+  }
+
+  /**
+   * It reads all the rules from the rules array of the contract. Contract doesn't expose length of
+   * the array, but rules are never removed, so the array holds at least as many rules as there are
+   * RuleRegistered events. Those are read first and any error is thrown. Rules beyond them, e.g.
+   * registered before the events were read from, are read until the call for an index fails in the
+   * contract. Other errors, e.g. of the connection, are thrown.
+   *
+   * @param registeredCount Number of RuleRegistered events.
+   *
+   * @returns {Promise<Array>} Rules with ruleName, ruleAddress and ruleAbi.
+   * @private
+   */
+  async _getStoredRules(registeredCount) {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(contractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenRules),
+      rules = [];
+
+    for (let index = 0; ; index++) {
+      let rule;
+      try {
+        rule = await contract.methods.rules(index).call();
+      } catch (error) {
+        if (index >= registeredCount && FailedCallErrorPattern.test(String(error && error.message))) {
+          break;
+        }
+        throw error;
+      }
+      rules.push({
+        ruleName: rule.ruleName,
+        ruleAddress: rule.ruleAddress,
+        ruleAbi: rule.ruleAbi
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * It checks if two JSON interfaces are same. JSON strings are parsed before comparison.
+   *
+   * @param abi First JSON interface.
+   * @param otherAbi Second JSON interface.
+   *
+   * @returns {Boolean}
+   * @private
+   */
+  _isSameAbi(abi, otherAbi) {
+    try {
+      const parse = function(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+      };
+      return JSON.stringify(parse(abi)) === JSON.stringify(parse(otherAbi));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * It returns a discrepancy object.
+   *
+   * @param type Discrepancy type.
+   * @param ruleName Name of the rule.
+   * @param ruleAddress Address of the rule.
+   *
+   * @returns {Object} Discrepancy.
+   * @private
+   */
+  _getDiscrepancy(type, ruleName, ruleAddress) {
+    return {
+      type: type,
+      ruleName: ruleName,
+      ruleAddress: ruleAddress
+    };
+  }
+
+  /**
+   * It returns a rule from the rule registry.
+   *
+   * @param lookup Lookup method of the registry, getRuleByName or getRuleByAddress.
+   * @param key Rule name or address.
+   *
+   * @returns {Object|null} Rule with ruleName, ruleAddress and ruleAbi. Null if there is no registry or rule is not cached.
+   * @private
+   */
+  _getCachedRule(lookup, key) {
+    const oThis = this;
+
+    const rule = oThis.ruleRegistry ? oThis.ruleRegistry[lookup](key) : null;
+
+    return rule
+      ? {
+          ruleName: rule.ruleName,
+          ruleAddress: rule.ruleAddress,
+          ruleAbi: rule.ruleAbi
+        }
+      : null;
+  }
+
+  /**
+   * It caches a rule read from the contract in the rule registry. It does nothing if there is no registry.
+   *
+   * @param rule Rule with ruleName, ruleAddress and ruleAbi.
+   * @private
+   */
+  _cacheRule(rule) {
+    const oThis = this;
+
+    if (oThis.ruleRegistry) {
+      oThis.ruleRegistry.cacheRule(rule);
+    }
+  }
+
+  /**
+   * It returns decoded events of token rules emitted in the block range. See ContractEvents.
+   *
+   * @param eventName Name of the event.
+   * @param fromBlock Optional start block. Defaults to 0.
+   * @param toBlock Optional end block. Defaults to the latest block.
+   *
+   * @returns {Promise<Array>} Decoded events.
+   */
+  getPastEvents(eventName, fromBlock, toBlock) {
+    const oThis = this;
+
+    return oThis._getContractEvents().getPastEvents(eventName, fromBlock, toBlock);
+  }
+
+  /**
+   * It subscribes to an event of token rules. See ContractEvents.subscribe.
+   *
+   * @param eventName Name of the event.
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  subscribe(eventName, callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis._getContractEvents().subscribe(eventName, callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It subscribes to RuleRegistered events of token rules.
+   *
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns Subscription object with cursor and unsubscribe method.
+   */
+  onRuleRegistered(callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    return oThis.subscribe('RuleRegistered', callback, cursor, pollingInterval);
+  }
+
+  /**
+   * It returns events provider of token rules.
+   *
+   * @returns {ContractEvents}
+   * @private
+   */
+  _getContractEvents() {
+    const oThis = this;
+
+    return new ContractEvents(oThis.auxiliaryWeb3, oThis.abiBinProvider.getABI(contractName), oThis.tokenRules);
+  }
 }
 
+TokenRules.RuleDiscrepancy = RuleDiscrepancy;
+
 module.exports = TokenRules;
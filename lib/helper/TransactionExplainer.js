@@ -0,0 +1,506 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const AbiBinProvider = require('./../AbiBinProvider'),
+  TokenRules = require('./TokenRules');
+
+// Bundled contracts whose methods are recognized, in order of preference for a method selector.
+const BundledContractNames = [
+  'TokenHolder',
+  'GnosisSafe',
+  'TokenRules',
+  'PricerRule',
+  'UserWalletFactory',
+  'ProxyFactory',
+  'CoGateway'
+];
+
+// Methods which execute a nested call, with names of their target and data parameters.
+const NestedCallParams = {
+  execTransaction: ['to', 'data'],
+  execTransactionFromModule: ['to', 'data'],
+  executeRule: ['_to', '_data'],
+  executeRedemption: ['_to', '_data'],
+  createProxy: ['_masterCopy', '_data']
+};
+
+// Nested calls are not unwrapped beyond this depth.
+const MaxDepth = 4;
+
+const DelegateCallOperation = '1';
+
+// Human-readable descriptions of known methods by contract and method name.
+const Descriptions = {
+  'TokenHolder.authorizeSession': function(p) {
+    return (
+      'Authorize session key ' +
+      p._sessionKey +
+      ' with spending limit ' +
+      p._spendingLimit +
+      ' until block ' +
+      p._expirationHeight
+    );
+  },
+  'TokenHolder.revokeSession': function(p) {
+    return 'Revoke session key ' + p._sessionKey;
+  },
+  'TokenHolder.logout': function() {
+    return 'Revoke all the session keys';
+  },
+  'TokenHolder.executeRule': function(p) {
+    return 'Execute rule call on ' + p._to + ' signed by a session key with nonce ' + p._nonce;
+  },
+  'TokenHolder.executeRedemption': function(p) {
+    return 'Execute redemption call on ' + p._to + ' signed by a session key with nonce ' + p._nonce;
+  },
+  'GnosisSafe.addOwnerWithThreshold': function(p) {
+    return 'Add owner ' + p.owner + ' and set threshold to ' + p._threshold;
+  },
+  'GnosisSafe.removeOwner': function(p) {
+    return 'Remove owner ' + p.owner + ' and set threshold to ' + p._threshold;
+  },
+  'GnosisSafe.swapOwner': function(p) {
+    return 'Replace owner ' + p.oldOwner + ' with ' + p.newOwner;
+  },
+  'GnosisSafe.changeThreshold': function(p) {
+    return 'Set threshold to ' + p._threshold;
+  },
+  'GnosisSafe.execTransaction': function(p) {
+    return 'Execute safe transaction on ' + p.to;
+  },
+  'TokenRules.directTransfers': function(p) {
+    return (
+      'Transfer ' +
+      p._transfersTo
+        .map(function(transferTo, index) {
+          return p._transfersAmount[index] + ' to ' + transferTo;
+        })
+        .join(', ')
+    );
+  },
+  'TokenRules.enableDirectTransfers': function() {
+    return 'Enable direct transfers';
+  },
+  'TokenRules.disableDirectTransfers': function() {
+    return 'Disable direct transfers';
+  }
+};
+
+/**
+ * It explains transactions in human-readable form, e.g. for signing UIs. Target of a call is resolved
+ * against the ABIs bundled with this package and the rules registered in token rules, and nested calls
+ * e.g. safe transaction to TokenHolder.authorizeSession are unwrapped.
+ *
+ * Bundled ABIs are matched by method selector, so any contract with a colliding selector would be
+ * explained as a bundled call. Such matches are verified only if the target is a known contract, i.e.
+ * token rules, the safe or token holder being explained or the known contracts passed to the constructor.
+ *
+ * Explanation consists:
+ *  - to: Target address.
+ *  - contractName: Name of the bundled contract or the registered rule. Null if not resolved.
+ *  - source: 'bundled', 'tokenRules' or null if the call is not resolved.
+ *  - verified: True if the target is token rules, a registered rule or a known contract of the resolved name.
+ *               Signing UIs should warn about unverified calls.
+ *  - method: Method name. Null if not resolved.
+ *  - signature: Method signature e.g. revokeSession(address).
+ *  - params: List of { name, type, value }.
+ *  - description: Human-readable description.
+ *  - calls: Explanations of the nested calls.
+ */
+class TransactionExplainer {
+  /**
+   * Constructor of TransactionExplainer.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param tokenRules Optional token rules address. Registered rules are resolved only if given.
+   * @param knownContracts Optional map of address to bundled contract name e.g. { <tokenHolderProxy>: 'TokenHolder' }.
+   *                       Calls to these addresses are resolved against the ABI of the contract only.
+   * @param ruleRegistry Optional RuleRegistry of the token rules. Registered rules are looked up in it first.
+   *                     Token rules defaults to the token rules of the registry.
+   */
+  constructor(auxiliaryWeb3, tokenRules, knownContracts, ruleRegistry) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.tokenRules = tokenRules || (ruleRegistry ? ruleRegistry.tokenRules : null);
+    oThis.ruleRegistry = ruleRegistry || null;
+    oThis.knownContracts = {};
+    Object.keys(knownContracts || {}).forEach(function(address) {
+      oThis.knownContracts[address.toLowerCase()] = knownContracts[address];
+    });
+    if (oThis.tokenRules) {
+      oThis.knownContracts[oThis.tokenRules.toLowerCase()] = 'TokenRules';
+    }
+    oThis.abiBinProvider = new AbiBinProvider();
+    oThis.bundledAbis = null;
+  }
+
+  /**
+   * It explains a call.
+   *
+   * @param to Target address.
+   * @param data Call data.
+   *
+   * @returns {Promise<Object>} Explanation.
+   */
+  explain(to, data) {
+    const oThis = this;
+
+    return oThis._explain(to, data, 0, oThis.knownContracts);
+  }
+
+  /**
+   * It explains a safe transaction before owners sign it.
+   *
+   * @param gnosisSafeProxy Gnosis safe proxy address.
+   * @param transaction Safe transaction with to, data, nonce and optional value and operation,
+   *                    e.g. as returned by GnosisSafe.getSafeTransactions.
+   *
+   * @returns {Promise<Object>} Explanation with gnosisSafeProxy, nonce, operation, call and description.
+   */
+  async explainSafeTransaction(gnosisSafeProxy, transaction) {
+    const oThis = this;
+
+    const knownContracts = oThis._withKnownContract(gnosisSafeProxy, 'GnosisSafe'),
+      call = await oThis._explain(transaction.to, transaction.data, 0, knownContracts),
+      operation = String(transaction.operation || 0),
+      value = String(transaction.value || 0);
+
+    let description = 'Safe ' + gnosisSafeProxy + ' transaction #' + transaction.nonce + ': ' + call.description;
+    if (value !== '0') {
+      description += ', sending ' + value + ' wei';
+    }
+    if (operation === DelegateCallOperation) {
+      description += ' (delegate call, target code runs with the safe storage)';
+    }
+
+    return {
+      gnosisSafeProxy: gnosisSafeProxy,
+      nonce: String(transaction.nonce),
+      value: value,
+      operation: operation,
+      call: call,
+      description: description
+    };
+  }
+
+  /**
+   * It explains an executeRule transaction before the session key signs it.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param transaction Transaction with to, data and nonce, e.g. as returned by TokenHolder.signExecuteRule.
+   *
+   * @returns {Promise<Object>} Explanation with tokenHolderProxy, nonce, call and description.
+   */
+  async explainExecuteRule(tokenHolderProxy, transaction) {
+    const oThis = this;
+
+    const knownContracts = oThis._withKnownContract(tokenHolderProxy, 'TokenHolder'),
+      call = await oThis._explain(transaction.to, transaction.data, 0, knownContracts);
+
+    return {
+      tokenHolderProxy: tokenHolderProxy,
+      nonce: transaction.nonce === undefined ? null : String(transaction.nonce),
+      call: call,
+      description: 'Token holder ' + tokenHolderProxy + ' executes: ' + call.description
+    };
+  }
+
+  /**
+   * It explains a call and its nested calls.
+   *
+   * @param to Target address.
+   * @param data Call data.
+   * @param depth Depth of the call.
+   * @param knownContracts Map of lowercase address to bundled contract name.
+   *
+   * @returns {Promise<Object>} Explanation.
+   * @private
+   */
+  async _explain(to, data, depth, knownContracts) {
+    const oThis = this;
+
+    const explanation = {
+      to: to,
+      contractName: null,
+      source: null,
+      verified: false,
+      method: null,
+      signature: null,
+      params: [],
+      description: null,
+      calls: []
+    };
+
+    if (!data || data === '0x') {
+      explanation.description = 'Call ' + to + ' without data';
+      return explanation;
+    }
+
+    const selector = data.slice(0, 10).toLowerCase(),
+      resolved = await oThis._resolve(to, selector, knownContracts);
+
+    if (!resolved) {
+      explanation.description = 'Unknown call to ' + to + ' with method selector ' + selector;
+      return explanation;
+    }
+
+    const methodAbi = resolved.methodAbi,
+      params = {};
+
+    let decoded;
+    try {
+      decoded = oThis.auxiliaryWeb3.eth.abi.decodeParameters(methodAbi.inputs, '0x' + data.slice(10));
+    } catch (error) {
+      // Data is truncated or malformed, so the call doesn't match the method.
+      explanation.description =
+        'Unknown call to ' + to + ' with method selector ' + selector + ', data does not match ' + methodAbi.name;
+      return explanation;
+    }
+
+    explanation.contractName = resolved.contractName;
+    explanation.source = resolved.source;
+    explanation.verified = resolved.verified;
+    explanation.method = methodAbi.name;
+    explanation.signature =
+      methodAbi.name +
+      '(' +
+      methodAbi.inputs
+        .map(function(input) {
+          return input.type;
+        })
+        .join(',') +
+      ')';
+    explanation.params = methodAbi.inputs.map(function(input, index) {
+      params[input.name] = decoded[index];
+      return {
+        name: input.name,
+        type: input.type,
+        value: decoded[index]
+      };
+    });
+
+    const describe = resolved.source === 'bundled' ? Descriptions[resolved.contractName + '.' + methodAbi.name] : null;
+    explanation.description = describe
+      ? describe(params)
+      : 'Call ' +
+        resolved.contractName +
+        '.' +
+        methodAbi.name +
+        '(' +
+        explanation.params
+          .map(function(param) {
+            return param.name + ': ' + oThis._formatValue(param.value);
+          })
+          .join(', ') +
+        ')';
+
+    const nestedCallParams = NestedCallParams[methodAbi.name];
+    if (nestedCallParams && depth < MaxDepth) {
+      const nestedTo = params[nestedCallParams[0]],
+        nestedData = params[nestedCallParams[1]];
+      if (nestedData && nestedData !== '0x') {
+        const nestedCall = await oThis._explain(nestedTo, nestedData, depth + 1, knownContracts);
+        explanation.calls.push(nestedCall);
+        explanation.description += ': ' + nestedCall.description;
+      }
+    }
+
+    return explanation;
+  }
+
+  /**
+   * It resolves method ABI of a call. Known contracts, token rules and its registered rules are resolved
+   * by target address, other calls by method selector in the bundled ABIs and are unverified.
+   *
+   * @param to Target address.
+   * @param selector Method selector.
+   * @param knownContracts Map of lowercase address to bundled contract name.
+   *
+   * @returns {Promise<Object|null>} Object with contractName, source, verified and methodAbi. Null if not resolved.
+   * @private
+   */
+  async _resolve(to, selector, knownContracts) {
+    const oThis = this;
+
+    const bundledAbis = oThis._getBundledAbis(),
+      knownContractName = knownContracts[to.toLowerCase()];
+
+    if (knownContractName) {
+      const methodAbi = oThis._findMethod(bundledAbis[knownContractName], selector);
+      return methodAbi
+        ? {
+            contractName: knownContractName,
+            source: 'bundled',
+            verified: true,
+            methodAbi: methodAbi
+          }
+        : null;
+    }
+
+    if (oThis.tokenRules) {
+      const registeredRule = await oThis._getRegisteredRule(to),
+        methodAbi = registeredRule ? oThis._findMethod(registeredRule.ruleAbi, selector) : null;
+      if (methodAbi) {
+        return {
+          contractName: registeredRule.ruleName,
+          source: 'tokenRules',
+          verified: true,
+          methodAbi: methodAbi
+        };
+      }
+    }
+
+    const contractNames = Object.keys(bundledAbis);
+    for (let i = 0; i < contractNames.length; i++) {
+      const methodAbi = oThis._findMethod(bundledAbis[contractNames[i]], selector);
+      if (methodAbi) {
+        return {
+          contractName: contractNames[i],
+          source: 'bundled',
+          verified: false,
+          methodAbi: methodAbi
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * It returns known contracts of the explainer with an additional known contract.
+   *
+   * @param address Address of the contract.
+   * @param contractName Bundled contract name.
+   *
+   * @returns {Object} Map of lowercase address to bundled contract name.
+   * @private
+   */
+  _withKnownContract(address, contractName) {
+    const oThis = this;
+
+    const knownContracts = Object.assign({}, oThis.knownContracts);
+    knownContracts[address.toLowerCase()] = contractName;
+
+    return knownContracts;
+  }
+
+  /**
+   * It returns the rule registered at an address in token rules.
+   *
+   * @param ruleAddress Rule address.
+   *
+   * @returns {Promise<Object|null>} Rule with ruleName and parsed ruleAbi. Null if not registered.
+   * @private
+   */
+  async _getRegisteredRule(ruleAddress) {
+    const oThis = this;
+
+    const tokenRulesHelper = new TokenRules(oThis.tokenRules, oThis.auxiliaryWeb3, oThis.ruleRegistry),
+      rule = await tokenRulesHelper.findRuleByAddress(ruleAddress);
+
+    if (!rule) {
+      return null;
+    }
+
+    try {
+      return {
+        ruleName: rule.ruleName,
+        ruleAbi: JSON.parse(rule.ruleAbi)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * It returns bundled ABIs keyed by contract name. ABIs which are not available are skipped.
+   *
+   * @returns {Object} ABIs.
+   * @private
+   */
+  _getBundledAbis() {
+    const oThis = this;
+
+    if (!oThis.bundledAbis) {
+      oThis.bundledAbis = {};
+      BundledContractNames.forEach(function(contractName) {
+        try {
+          oThis.bundledAbis[contractName] = oThis.abiBinProvider.getABI(contractName);
+        } catch (error) {
+          // ABI is not available in this build.
+        }
+      });
+    }
+
+    return oThis.bundledAbis;
+  }
+
+  /**
+   * It finds function ABI with the method selector.
+   *
+   * @param jsonInterface ABI of a contract.
+   * @param selector Method selector.
+   *
+   * @returns {Object|undefined} Function ABI.
+   * @private
+   */
+  _findMethod(jsonInterface, selector) {
+    const oThis = this;
+
+    if (!Array.isArray(jsonInterface)) {
+      return undefined;
+    }
+
+    return jsonInterface.find(function(item) {
+      return item.type === 'function' && oThis.auxiliaryWeb3.eth.abi.encodeFunctionSignature(item) === selector;
+    });
+  }
+
+  /**
+   * It formats a decoded value for description.
+   *
+   * @param value Decoded value.
+   *
+   * @returns {String}
+   * @private
+   */
+  _formatValue(value) {
+    const oThis = this;
+
+    if (Array.isArray(value)) {
+      return (
+        '[' +
+        value
+          .map(function(item) {
+            return oThis._formatValue(item);
+          })
+          .join(', ') +
+        ']'
+      );
+    }
+
+    return String(value);
+  }
+}
+
+module.exports = TransactionExplainer;
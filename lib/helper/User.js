@@ -20,7 +20,9 @@
 
 'use strict';
 
-const AbiBinProvider = require('../AbiBinProvider');
+const AbiBinProvider = require('../AbiBinProvider'),
+  RLP = require('eth-lib/lib/rlp'),
+  Bytes = require('eth-lib/lib/bytes');
 
 const UserWalletFactoryContractName = 'UserWalletFactory';
 
@@ -28,7 +30,29 @@ const ProxyFactoryContractName = 'ProxyFactory';
 
 const THMasterCopyContractName = 'TokenHolder';
 
-const TxSender = require('../../utils/TxSender');
+const TxSender = require('../../utils/TxSender'),
+  UserWallet = require('./UserWallet'),
+  SessionExpiry = require('./SessionExpiry'),
+  WalletValidator = require('./WalletValidator'),
+  ValidationError = require('../errors/ValidationError');
+
+const NullAddress = '0x0000000000000000000000000000000000000000';
+
+// Default number of wallet creation transactions which a deployer keeps in flight.
+const DefaultBatchConcurrency = 10;
+
+const BatchStatus = {
+  success: 'success',
+  failed: 'failed',
+  pending: 'pending'
+};
+
+const BatchFailureType = {
+  validationFailed: 'ValidationFailed',
+  sendFailed: 'SendFailed',
+  transactionReverted: 'TransactionReverted',
+  walletNotCreated: 'WalletNotCreated'
+};
 
 /**
  * This is used to create wallet of an user and configure it.
@@ -43,6 +67,8 @@ class User {
    * @param tokenRules The address of the token rules.
    * @param userWalletFactoryAddress Address of UserWalletFactory contract.
    * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param averageBlockTime Optional average block time in seconds used to convert session key expiries.
+   *                         It is measured from recent blocks if not given, see SessionExpiry.
    */
   constructor(
     gnosisSafeMasterCopy,
@@ -50,7 +76,8 @@ class User {
     eip20Token,
     tokenRules,
     userWalletFactoryAddress,
-    auxiliaryWeb3
+    auxiliaryWeb3,
+    averageBlockTime
   ) {
     const oThis = this;
 
@@ -62,6 +89,8 @@ class User {
     oThis.auxiliaryWeb3 = auxiliaryWeb3;
 
     oThis.abiBinProvider = new AbiBinProvider();
+    oThis.walletValidator = new WalletValidator(auxiliaryWeb3);
+    oThis.sessionExpiry = new SessionExpiry(auxiliaryWeb3, averageBlockTime);
   }
 
   /**
@@ -132,6 +161,7 @@ class User {
 
   /**
    * It is used for creation and configuration of gnosis safe and token holder proxy contract for user.
+   * Parameters are validated before the transaction is sent, see WalletValidator.validateUserWallet.
    *
    * @param owners List of owners of the multisig.
    * @param threshold Number of required confirmations for a Safe transaction.
@@ -139,10 +169,11 @@ class User {
    * @param data Data payload for optional delegate call.
    * @param sessionKeys Session key addresses to authorize.
    * @param sessionKeysSpendingLimits Session key's spending limits.
-   * @param sessionKeysExpirationHeights Session key's expiration heights.
+   * @param sessionKeysExpirationHeights Session key's expiration heights. An item can also be a duration or
+   *                                     deadline, see SessionExpiry.
    * @param txOptions Tx options.
    *
-   * @returns Promise object.
+   * @returns Promise object. It is rejected with ValidationError if any parameter is invalid.
    */
   async createUserWallet(
     owners,
@@ -156,6 +187,19 @@ class User {
   ) {
     const oThis = this;
 
+    sessionKeysExpirationHeights = await oThis.sessionExpiry.getExpirationHeights(sessionKeysExpirationHeights);
+
+    await oThis.walletValidator.validateUserWallet(
+      oThis._getEconomy(),
+      owners,
+      threshold,
+      to,
+      data,
+      sessionKeys,
+      sessionKeysSpendingLimits,
+      sessionKeysExpirationHeights
+    );
+
     const txObject = oThis._createUserWalletRawTx(
       owners,
       threshold,
@@ -171,17 +215,108 @@ class User {
     return txReceipt;
   }
 
+  /**
+   * It creates user wallets for a list of wallet specs. Transactions are sent concurrently from the
+   * deployers with locally managed nonces. Wallet specs are distributed among deployers in round robin.
+   *
+   * Wallet spec consists:
+   *  - owners: List of owners of the multisig.
+   *  - threshold: Number of required confirmations for a Safe transaction.
+   *  - to: Optional contract address for delegate call. Defaults to null address.
+   *  - data: Optional data payload for delegate call. Defaults to '0x'.
+   *  - sessionKeys: Session key addresses to authorize.
+   *  - sessionKeysSpendingLimits: Session key's spending limits.
+   *  - sessionKeysExpirationHeights: Session key's expiration heights. An item can also be a duration or
+   *    deadline, see SessionExpiry.
+   *
+   * Every wallet spec is validated before it is queued, see WalletValidator.validateUserWallet.
+   *
+   * Result of every wallet spec is at the same index in the returned list. Result consists:
+   *  - status: 'success', 'failed' or 'pending' (receipt is not available yet).
+   *  - deployer, nonce, transactionHash: Details of the sent transaction.
+   *  - gnosisSafeProxy, tokenHolderProxy: Created proxy addresses, if status is 'success'.
+   *  - error: { type, message } if status is 'failed'. Type is 'ValidationFailed', 'SendFailed',
+   *    'TransactionReverted' or 'WalletNotCreated' (receipt has no UserWalletCreated event). It also has
+   *    code and field of the ValidationError for 'ValidationFailed'.
+   *
+   * The returned list can be passed back as previousResults to resume the batch. Successful items are
+   * skipped, pending items are reconciled with chain and failed items are retried.
+   *
+   * @param walletSpecs List of wallet specs.
+   * @param deployers List of addresses from which transactions are sent.
+   * @param txOptions Tx options. `from` and `nonce` are set per transaction.
+   * @param concurrency Optional maximum number of transactions in flight per deployer.
+   * @param previousResults Optional results of a previous run of the same batch.
+   *
+   * @returns {Promise<Array>} List of results.
+   */
+  async createUserWallets(walletSpecs, deployers, txOptions, concurrency, previousResults) {
+    const oThis = this;
+
+    concurrency = concurrency || DefaultBatchConcurrency;
+    previousResults = previousResults || [];
+
+    const results = new Array(walletSpecs.length),
+      validWalletSpecs = new Array(walletSpecs.length),
+      indexesToSend = [];
+
+    for (let i = 0; i < walletSpecs.length; i++) {
+      const result = previousResults[i] ? await oThis._reconcileBatchResult(previousResults[i]) : null;
+      if (result && result.status !== BatchStatus.failed) {
+        results[i] = result;
+        continue;
+      }
+
+      try {
+        validWalletSpecs[i] = await oThis._getValidWalletSpec(walletSpecs[i]);
+      } catch (error) {
+        results[i] = oThis._getBatchFailure(
+          { status: BatchStatus.pending, deployer: null, nonce: null, transactionHash: null },
+          BatchFailureType.validationFailed,
+          error
+        );
+        continue;
+      }
+
+      indexesToSend.push(i);
+    }
+
+    const deployerQueues = deployers.map(function() {
+      return [];
+    });
+    indexesToSend.forEach(function(index, i) {
+      deployerQueues[i % deployers.length].push(index);
+    });
+
+    await Promise.all(
+      deployers.map(function(deployer, i) {
+        return oThis._createUserWalletsFromDeployer(
+          deployer,
+          deployerQueues[i],
+          validWalletSpecs,
+          txOptions,
+          concurrency,
+          results
+        );
+      })
+    );
+
+    return results;
+  }
+
   /**
    * Method for creation and configuration of token holder proxy contract for company
-   * with hardware wallet as it's owner.
+   * with hardware wallet as it's owner. Parameters are validated before the transaction
+   * is sent, see WalletValidator.validateCompanyWallet.
    *
    * @param proxyFactory proxyFactory contract address.
    * @param owner TokenHolder proxy owner address. It could be hardware wallet address.
    * @param sessionKeys Session key addresses to authorize.
    * @param sessionKeysSpendingLimits Session key's spending limits.
-   * @param sessionKeysExpirationHeights Session key's expiration heights.
+   * @param sessionKeysExpirationHeights Session key's expiration heights. An item can also be a duration or
+   *                                     deadline, see SessionExpiry.
    *
-   * @returns Promise object.
+   * @returns Promise object. It is rejected with ValidationError if any parameter is invalid.
    */
   async createCompanyWallet(
     proxyFactory,
@@ -193,6 +328,16 @@ class User {
   ) {
     const oThis = this;
 
+    sessionKeysExpirationHeights = await oThis.sessionExpiry.getExpirationHeights(sessionKeysExpirationHeights);
+
+    await oThis.walletValidator.validateCompanyWallet(
+      Object.assign(oThis._getEconomy(), { proxyFactory: proxyFactory }),
+      owner,
+      sessionKeys,
+      sessionKeysSpendingLimits,
+      sessionKeysExpirationHeights
+    );
+
     const txObject = oThis._createCompanyWalletRawTx(
       proxyFactory,
       owner,
@@ -206,6 +351,408 @@ class User {
     return txReceipt;
   }
 
+  /**
+   * It returns wallet of a user from the receipt of createUserWallet.
+   *
+   * @param receipt Transaction receipt of createUserWallet.
+   *
+   * @returns {UserWallet}
+   */
+  getUserWallet(receipt) {
+    const oThis = this;
+
+    const userWalletEvent = oThis._getUserWalletCreatedEvent(receipt);
+    if (!userWalletEvent) {
+      throw new Error('UserWalletCreated event is not found in the receipt: ' + receipt.transactionHash);
+    }
+
+    return new UserWallet(
+      oThis.auxiliaryWeb3,
+      userWalletEvent._gnosisSafeProxy,
+      userWalletEvent._tokenHolderProxy,
+      oThis._getEconomy(),
+      receipt
+    );
+  }
+
+  /**
+   * It returns wallet of a company from the receipt of createCompanyWallet.
+   *
+   * @param receipt Transaction receipt of createCompanyWallet.
+   *
+   * @returns {UserWallet}
+   */
+  getCompanyWallet(receipt) {
+    const oThis = this;
+
+    const tokenHolderProxy = receipt.events.ProxyCreated.returnValues._proxy;
+
+    return new UserWallet(oThis.auxiliaryWeb3, null, tokenHolderProxy, oThis._getEconomy(), receipt);
+  }
+
+  /**
+   * It loads wallet of a user by its token holder proxy address.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address of the user.
+   *
+   * @returns {Promise<UserWallet>}
+   */
+  async loadUserWallet(tokenHolderProxy) {
+    const oThis = this;
+
+    const userWallet = await UserWallet.load(oThis.auxiliaryWeb3, tokenHolderProxy);
+    userWallet.economy = Object.assign(oThis._getEconomy(), userWallet.economy);
+
+    return userWallet;
+  }
+
+  /**
+   * It predicts the gnosis safe and token holder proxy addresses which the next createUserWallet
+   * call will create. UserWalletFactory creates the gnosis safe proxy first and then the
+   * token holder proxy, so they get consecutive nonces of the factory.
+   *
+   * Prediction holds only if no other wallet is created through the factory before the
+   * createUserWallet transaction is mined.
+   *
+   * @param nonce Optional nonce of UserWalletFactory contract. Pending nonce is fetched if not provided.
+   *
+   * @returns {Promise<Object>} Predicted gnosisSafeProxy and tokenHolderProxy addresses.
+   */
+  async predictUserWalletAddresses(nonce) {
+    const oThis = this;
+
+    if (nonce === undefined || nonce === null) {
+      nonce = await oThis.auxiliaryWeb3.eth.getTransactionCount(oThis.userWalletFactoryAddress, 'pending');
+    }
+    nonce = Number(nonce);
+
+    return {
+      gnosisSafeProxy: oThis._getContractAddress(oThis.userWalletFactoryAddress, nonce),
+      tokenHolderProxy: oThis._getContractAddress(oThis.userWalletFactoryAddress, nonce + 1)
+    };
+  }
+
+  /**
+   * It predicts the token holder proxy address which the next createCompanyWallet call will create.
+   *
+   * Prediction holds only if no other proxy is created through the factory before the
+   * createCompanyWallet transaction is mined.
+   *
+   * @param proxyFactory proxyFactory contract address.
+   * @param nonce Optional nonce of ProxyFactory contract. Pending nonce is fetched if not provided.
+   *
+   * @returns {Promise<String>} Predicted token holder proxy address.
+   */
+  async predictCompanyWalletAddress(proxyFactory, nonce) {
+    const oThis = this;
+
+    if (nonce === undefined || nonce === null) {
+      nonce = await oThis.auxiliaryWeb3.eth.getTransactionCount(proxyFactory, 'pending');
+    }
+
+    return oThis._getContractAddress(proxyFactory, Number(nonce));
+  }
+
+  /**
+   * Returns economy addresses known to the helper.
+   *
+   * @returns {Object} Economy addresses.
+   * @private
+   */
+  _getEconomy() {
+    const oThis = this;
+
+    return {
+      eip20Token: oThis.eip20Token,
+      tokenRules: oThis.tokenRules,
+      gnosisSafeMasterCopy: oThis.gnosisSafeMasterCopy,
+      tokenHolderMasterCopy: oThis.tokenHolderMasterCopy,
+      userWalletFactory: oThis.userWalletFactoryAddress
+    };
+  }
+
+  /**
+   * Computes address of a contract created by the deployer at the given nonce.
+   *
+   * @param deployer Address of the creator.
+   * @param nonce Nonce of the creator.
+   *
+   * @returns {String} Checksum address of the contract.
+   * @private
+   */
+  _getContractAddress(deployer, nonce) {
+    const oThis = this;
+
+    // RLP encodes 0 as an empty byte string.
+    const encodedNonce = nonce === 0 ? '0x' : Bytes.fromNumber(nonce),
+      encoded = RLP.encode([deployer, encodedNonce]),
+      hash = oThis.auxiliaryWeb3.utils.sha3(encoded);
+
+    return oThis.auxiliaryWeb3.utils.toChecksumAddress('0x' + hash.slice(-40));
+  }
+
+  /**
+   * Returns wallet spec with defaults applied and expiries converted to heights, after validating
+   * it the same way as createUserWallet does.
+   *
+   * @param walletSpec Wallet spec. See createUserWallets.
+   *
+   * @returns {Promise<Object>} Valid wallet spec. It is rejected with ValidationError if spec is invalid.
+   * @private
+   */
+  async _getValidWalletSpec(walletSpec) {
+    const oThis = this;
+
+    const validWalletSpec = Object.assign({}, walletSpec, {
+      to: walletSpec.to || NullAddress,
+      data: walletSpec.data || '0x',
+      sessionKeysExpirationHeights: await oThis.sessionExpiry.getExpirationHeights(
+        walletSpec.sessionKeysExpirationHeights
+      )
+    });
+
+    await oThis.walletValidator.validateUserWallet(
+      oThis._getEconomy(),
+      validWalletSpec.owners,
+      validWalletSpec.threshold,
+      validWalletSpec.to,
+      validWalletSpec.data,
+      validWalletSpec.sessionKeys,
+      validWalletSpec.sessionKeysSpendingLimits,
+      validWalletSpec.sessionKeysExpirationHeights
+    );
+
+    return validWalletSpec;
+  }
+
+  /**
+   * Sends wallet creation transactions of the given wallet specs from a deployer. Nonce is
+   * incremented locally only when a transaction is accepted by the node.
+   *
+   * @param deployer Address from which transactions are sent.
+   * @param indexes Indexes of wallet specs to create.
+   * @param walletSpecs List of wallet specs.
+   * @param txOptions Tx options.
+   * @param concurrency Maximum number of transactions in flight.
+   * @param results List where results are set.
+   *
+   * @returns Promise object.
+   * @private
+   */
+  async _createUserWalletsFromDeployer(deployer, indexes, walletSpecs, txOptions, concurrency, results) {
+    const oThis = this;
+
+    let nonce = await oThis.auxiliaryWeb3.eth.getTransactionCount(deployer, 'pending');
+
+    const inFlight = new Set();
+
+    for (let i = 0; i < indexes.length; i++) {
+      const index = indexes[i],
+        walletSpec = walletSpecs[index],
+        txNonce = nonce;
+
+      if (inFlight.size >= concurrency) {
+        await Promise.race(inFlight);
+      }
+
+      const result = {
+        status: BatchStatus.pending,
+        deployer: deployer,
+        nonce: txNonce,
+        transactionHash: null
+      };
+      results[index] = result;
+
+      let sentTransaction;
+      try {
+        const txObject = oThis._createUserWalletRawTx(
+          walletSpec.owners,
+          walletSpec.threshold,
+          walletSpec.to,
+          walletSpec.data,
+          walletSpec.sessionKeys,
+          walletSpec.sessionKeysSpendingLimits,
+          walletSpec.sessionKeysExpirationHeights
+        );
+        sentTransaction = oThis._sendBatchTransaction(
+          txObject,
+          Object.assign({}, txOptions, { from: deployer, nonce: txNonce })
+        );
+        result.transactionHash = await sentTransaction.transactionHash;
+      } catch (error) {
+        // Nonce is not consumed as transaction was not accepted.
+        results[index] = oThis._getBatchFailure(result, BatchFailureType.sendFailed, error);
+        continue;
+      }
+
+      nonce++;
+
+      const receiptPromise = sentTransaction.receipt
+        .then(function(receipt) {
+          results[index] = oThis._getBatchResultFromReceipt(result, receipt);
+        })
+        .catch(function() {
+          return oThis._reconcileBatchResult(result).then(function(reconciledResult) {
+            results[index] = reconciledResult;
+          });
+        })
+        .then(function() {
+          inFlight.delete(receiptPromise);
+        });
+      inFlight.add(receiptPromise);
+    }
+
+    await Promise.all(Array.from(inFlight));
+  }
+
+  /**
+   * Sends a transaction and returns separate promises for transaction hash and receipt.
+   *
+   * @param txObject Transaction object.
+   * @param txOptions Tx options.
+   *
+   * @returns {Object} Promises of transactionHash and receipt.
+   * @private
+   */
+  _sendBatchTransaction(txObject, txOptions) {
+    const promiEvent = txObject.send(txOptions);
+
+    const transactionHash = new Promise(function(resolve, reject) {
+      promiEvent.on('transactionHash', resolve);
+      promiEvent.catch(reject);
+    });
+
+    return {
+      transactionHash: transactionHash,
+      receipt: promiEvent
+    };
+  }
+
+  /**
+   * Reconciles a batch result with chain. A pending result becomes success or failed if its receipt
+   * is available. It remains pending while its transaction is known to the node.
+   *
+   * @param previousResult Batch result.
+   *
+   * @returns {Promise<Object|null>} Reconciled result or null if the transaction should be sent again.
+   * @private
+   */
+  async _reconcileBatchResult(previousResult) {
+    const oThis = this;
+
+    if (previousResult.status !== BatchStatus.pending) {
+      return previousResult;
+    }
+
+    if (!previousResult.transactionHash) {
+      return null;
+    }
+
+    const receipt = await oThis.auxiliaryWeb3.eth.getTransactionReceipt(previousResult.transactionHash);
+    if (receipt) {
+      return oThis._getBatchResultFromReceipt(previousResult, receipt);
+    }
+
+    const transaction = await oThis.auxiliaryWeb3.eth.getTransaction(previousResult.transactionHash);
+    if (transaction) {
+      return previousResult;
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns batch result from a wallet creation receipt.
+   *
+   * @param result Batch result of the transaction.
+   * @param receipt Transaction receipt.
+   *
+   * @returns {Object} Batch result.
+   * @private
+   */
+  _getBatchResultFromReceipt(result, receipt) {
+    const oThis = this;
+
+    if (!receipt.status) {
+      return oThis._getBatchFailure(result, BatchFailureType.transactionReverted, 'Transaction has been reverted.');
+    }
+
+    const userWalletEvent = oThis._getUserWalletCreatedEvent(receipt);
+    if (!userWalletEvent) {
+      return oThis._getBatchFailure(
+        result,
+        BatchFailureType.walletNotCreated,
+        'UserWalletCreated event is not found in the receipt.'
+      );
+    }
+
+    return Object.assign({}, result, {
+      status: BatchStatus.success,
+      transactionHash: receipt.transactionHash,
+      gnosisSafeProxy: userWalletEvent._gnosisSafeProxy,
+      tokenHolderProxy: userWalletEvent._tokenHolderProxy
+    });
+  }
+
+  /**
+   * Returns failed batch result.
+   *
+   * @param result Batch result of the transaction.
+   * @param type Failure type.
+   * @param error Error object or message.
+   *
+   * @returns {Object} Batch result.
+   * @private
+   */
+  _getBatchFailure(result, type, error) {
+    const failure = {
+      type: type,
+      message: error && error.message ? error.message : String(error)
+    };
+
+    if (error instanceof ValidationError) {
+      failure.code = error.code;
+      failure.field = error.field;
+    }
+
+    return Object.assign({}, result, {
+      status: BatchStatus.failed,
+      error: failure
+    });
+  }
+
+  /**
+   * Returns return values of UserWalletCreated event from a receipt. Receipts returned by
+   * contract send have decoded events, receipts fetched from chain have raw logs.
+   *
+   * @param receipt Transaction receipt.
+   *
+   * @returns {Object|null} UserWalletCreated event return values or null if receipt doesn't have the event.
+   * @private
+   */
+  _getUserWalletCreatedEvent(receipt) {
+    const oThis = this;
+
+    if (receipt.events && receipt.events.UserWalletCreated) {
+      return receipt.events.UserWalletCreated.returnValues;
+    }
+
+    const jsonInterface = oThis.abiBinProvider.getABI(UserWalletFactoryContractName),
+      eventAbi = jsonInterface.find(function(item) {
+        return item.type === 'event' && item.name === 'UserWalletCreated';
+      }),
+      eventSignature = oThis.auxiliaryWeb3.eth.abi.encodeEventSignature(eventAbi);
+
+    const log = (receipt.logs || []).find(function(item) {
+      return item.topics[0] === eventSignature;
+    });
+    if (!log) {
+      return null;
+    }
+
+    return oThis.auxiliaryWeb3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1));
+  }
+
   /**
    * Private method used for creation and configuration of gnosis safe and tokenholder contract for an user.
    *
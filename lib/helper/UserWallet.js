@@ -0,0 +1,292 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const AbiBinProvider = require('./../AbiBinProvider'),
+  GnosisSafe = require('./GnosisSafe'),
+  TokenHolder = require('./TokenHolder');
+
+const tokenHolderContractName = 'TokenHolder';
+
+/**
+ * Wallet of a user. It bundles the gnosis safe and token holder helpers of a
+ * user with the economy addresses.
+ *
+ * Company wallets don't have a gnosis safe, their token holder is owned directly
+ * by the owner address (e.g. a hardware wallet).
+ */
+class UserWallet {
+  /**
+   * Constructor of UserWallet.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param gnosisSafeProxy Gnosis safe proxy address of the user. Null for company wallets.
+   * @param tokenHolderProxy TokenHolder proxy address of the user.
+   * @param economy Economy addresses e.g. eip20Token, tokenRules.
+   * @param receipt Optional wallet creation transaction receipt.
+   */
+  constructor(auxiliaryWeb3, gnosisSafeProxy, tokenHolderProxy, economy, receipt) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.gnosisSafeProxy = gnosisSafeProxy || null;
+    oThis.tokenHolderProxy = tokenHolderProxy;
+    oThis.economy = economy || {};
+    oThis.receipt = receipt || null;
+    oThis.abiBinProvider = new AbiBinProvider();
+
+    oThis.gnosisSafe = oThis.gnosisSafeProxy ? new GnosisSafe(oThis.gnosisSafeProxy, auxiliaryWeb3) : null;
+    oThis.tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderProxy);
+  }
+
+  /**
+   * Loads wallet of a user by its token holder proxy address. Token and token rules
+   * addresses are read from the token holder. Owner of the token holder is considered
+   * a gnosis safe proxy if it is a contract.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param tokenHolderProxy TokenHolder proxy address of the user.
+   *
+   * @returns {Promise<UserWallet>}
+   */
+  static async load(auxiliaryWeb3, tokenHolderProxy) {
+    const jsonInterface = new AbiBinProvider().getABI(tokenHolderContractName),
+      contract = new auxiliaryWeb3.eth.Contract(jsonInterface, tokenHolderProxy);
+
+    const owner = await contract.methods.owner().call(),
+      eip20Token = await contract.methods.token().call(),
+      tokenRules = await contract.methods.tokenRules().call(),
+      ownerCode = await auxiliaryWeb3.eth.getCode(owner);
+
+    const gnosisSafeProxy = ownerCode.length > 2 ? owner : null;
+
+    return new UserWallet(auxiliaryWeb3, gnosisSafeProxy, tokenHolderProxy, {
+      eip20Token: eip20Token,
+      tokenRules: tokenRules
+    });
+  }
+
+  /**
+   * It returns owners of the wallet. Owner of company wallet is the token holder owner.
+   *
+   * @returns {Promise<Array>} List of owners.
+   */
+  async getOwners() {
+    const oThis = this;
+
+    if (oThis.gnosisSafe) {
+      return oThis.gnosisSafe.getOwners();
+    }
+
+    const jsonInterface = oThis.abiBinProvider.getABI(tokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, oThis.tokenHolderProxy);
+
+    return [await contract.methods.owner().call()];
+  }
+
+  /**
+   * It returns number of required confirmations of the wallet. It is 1 for company wallets.
+   *
+   * @returns {Promise<String>} Threshold.
+   */
+  async getThreshold() {
+    const oThis = this;
+
+    if (oThis.gnosisSafe) {
+      return oThis.gnosisSafe.getThreshold();
+    }
+
+    return '1';
+  }
+
+  /**
+   * It returns session key data from the token holder. See TokenHolder.getSessionKeyData.
+   *
+   * @param sessionKey Session key address.
+   *
+   * @returns Promise object.
+   */
+  getSession(sessionKey) {
+    const oThis = this;
+
+    return oThis.tokenHolder.getSessionKeyData(sessionKey);
+  }
+
+  /**
+   * It returns data of the given session keys.
+   *
+   * @param sessionKeys List of session key addresses.
+   *
+   * @returns {Promise<Object>} Session key data keyed by session key.
+   */
+  async getSessions(sessionKeys) {
+    const oThis = this;
+
+    const sessions = {};
+    for (let i = 0; i < sessionKeys.length; i++) {
+      sessions[sessionKeys[i]] = await oThis.getSession(sessionKeys[i]);
+    }
+
+    return sessions;
+  }
+
+  /**
+   * It revokes all the authorized sessions of the wallet i.e. signs out everywhere. Logout is executed
+   * through the gnosis safe as a single safe transaction, signed by the signers, whatever the number of
+   * sessions. For company wallets it is sent directly from the owner in txOptions.
+   *
+   * It should be used to respond to a compromised device, as revokeSessions needs one transaction per
+   * session key.
+   *
+   * Response consists:
+   *  - receipts: Transaction receipts.
+   *  - revokedSessionKeys: Session keys which were revoked as per SessionRevoked events.
+   *
+   * @param signers Owner accounts which sign the safe transaction. Ignored for company wallets.
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Object>} Response.
+   */
+  logout(signers, txOptions) {
+    const oThis = this;
+
+    return oThis._executeOwnerCalls([oThis.tokenHolder.getLogoutExecutableData()], signers, txOptions, function() {
+      return oThis.tokenHolder.logout(txOptions);
+    });
+  }
+
+  /**
+   * It revokes sessions of the given session keys. Session keys which are not authorized are skipped.
+   * Revocations are executed through the gnosis safe, one safe transaction per session key i.e. N
+   * transactions for N session keys, all signed up front by the signers. For company wallets they are
+   * sent directly from the owner in txOptions. Use logout to revoke all sessions in one transaction.
+   *
+   * Transactions are executed in order of their nonce. If one of them fails, sessions revoked by the
+   * previous transactions stay revoked and the error of the failed transaction is thrown.
+   *
+   * @param sessionKeys Session keys to revoke.
+   * @param signers Owner accounts which sign the safe transactions. Ignored for company wallets.
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Object>} Response, see logout.
+   */
+  async revokeSessions(sessionKeys, signers, txOptions) {
+    const oThis = this;
+
+    const authorizedSessionKeys = [];
+    for (let i = 0; i < sessionKeys.length; i++) {
+      const sessionKeyData = await oThis.tokenHolder.getSessionKeyData(sessionKeys[i]);
+      if (sessionKeyData.status.toString() === TokenHolder.AuthorizationStatus.authorized) {
+        authorizedSessionKeys.push(sessionKeys[i]);
+      }
+    }
+
+    const calls = authorizedSessionKeys.map(function(sessionKey) {
+      return oThis.tokenHolder.getRevokeSessionExecutableData(sessionKey);
+    });
+
+    return oThis._executeOwnerCalls(calls, signers, txOptions, async function() {
+      const receipts = [];
+      for (let i = 0; i < authorizedSessionKeys.length; i++) {
+        receipts.push(await oThis.tokenHolder.revokeSession(authorizedSessionKeys[i], txOptions));
+      }
+      return receipts;
+    });
+  }
+
+  /**
+   * It executes calls to the token holder as its owner and collects revoked session keys.
+   *
+   * @param calls List of executable data for the token holder.
+   * @param signers Owner accounts which sign the safe transactions.
+   * @param txOptions Tx options.
+   * @param sendDirectly Function which sends the calls directly from the owner. It is used for company wallets.
+   *
+   * @returns {Promise<Object>} Response, see logout.
+   * @private
+   */
+  async _executeOwnerCalls(calls, signers, txOptions, sendDirectly) {
+    const oThis = this;
+
+    if (calls.length === 0) {
+      return {
+        receipts: [],
+        revokedSessionKeys: []
+      };
+    }
+
+    let receipts;
+    if (oThis.gnosisSafe) {
+      const transactions = await oThis.gnosisSafe.getSafeTransactions(
+          calls.map(function(data) {
+            return { to: oThis.tokenHolderProxy, data: data };
+          })
+        ),
+        signedTransactions = await oThis.gnosisSafe.signSafeTransactions(transactions, signers);
+
+      receipts = await oThis.gnosisSafe.executeSafeTransactions(signedTransactions, txOptions);
+    } else {
+      receipts = [].concat(await sendDirectly());
+    }
+
+    let revokedSessionKeys = [];
+    for (let i = 0; i < receipts.length; i++) {
+      revokedSessionKeys = revokedSessionKeys.concat(
+        await oThis.tokenHolder.getRevokedSessionKeys(receipts[i].transactionHash)
+      );
+    }
+
+    return {
+      receipts: receipts,
+      revokedSessionKeys: revokedSessionKeys
+    };
+  }
+
+  /**
+   * It returns economy token balance of the token holder.
+   *
+   * @returns {Promise<String>} Token balance.
+   */
+  async getTokenBalance() {
+    const oThis = this;
+
+    const web3 = oThis.auxiliaryWeb3,
+      data = web3.eth.abi.encodeFunctionCall(
+        {
+          name: 'balanceOf',
+          type: 'function',
+          inputs: [
+            {
+              type: 'address',
+              name: '_owner'
+            }
+          ]
+        },
+        [oThis.tokenHolderProxy]
+      );
+
+    const balance = await web3.eth.call({ to: oThis.economy.eip20Token, data: data });
+
+    return web3.eth.abi.decodeParameter('uint256', balance);
+  }
+}
+
+module.exports = UserWallet;
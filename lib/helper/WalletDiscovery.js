@@ -0,0 +1,464 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const AbiBinProvider = require('./../AbiBinProvider'),
+  GnosisSafe = require('./GnosisSafe');
+
+const UserWalletFactoryContractName = 'UserWalletFactory',
+  ProxyFactoryContractName = 'ProxyFactory',
+  TokenHolderContractName = 'TokenHolder',
+  GnosisSafeContractName = 'GnosisSafe';
+
+// Default number of blocks scanned in a page.
+const DefaultPageSize = 5000;
+
+/**
+ * It discovers wallets of an economy by scanning UserWalletCreated events of
+ * UserWalletFactory and ProxyCreated events of ProxyFactory.
+ *
+ * Scan is done page by page over block ranges. Discovery state, including the cursor,
+ * can be persisted with toJSON and restored with fromJSON to resume the scan.
+ *
+ * Along with the wallets, it keeps an index from owners and session keys to their wallets.
+ * Session keys are indexed from SessionAuthorized events and stay indexed after revocation.
+ * Owners are re-read from gnosis safe whenever owners change in the scanned blocks.
+ */
+class WalletDiscovery {
+  /**
+   * Constructor of WalletDiscovery.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param userWalletFactory UserWalletFactory contract address. Null to skip user wallets.
+   * @param proxyFactory ProxyFactory contract address. Null to skip company wallets.
+   * @param eip20Token Optional EIP20 token address. Only wallets of this token are discovered.
+   * @param tokenRules Optional TokenRules address. Only wallets of this token rules are discovered.
+   * @param fromBlock Block from which scan starts. Defaults to 0.
+   */
+  constructor(auxiliaryWeb3, userWalletFactory, proxyFactory, eip20Token, tokenRules, fromBlock) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.userWalletFactory = userWalletFactory || null;
+    oThis.proxyFactory = proxyFactory || null;
+    oThis.eip20Token = eip20Token || null;
+    oThis.tokenRules = tokenRules || null;
+    oThis.cursor = {
+      nextBlock: fromBlock || 0
+    };
+    oThis.wallets = [];
+    oThis.abiBinProvider = new AbiBinProvider();
+  }
+
+  /**
+   * Restores discovery from its JSON representation.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param json Object returned by toJSON method.
+   *
+   * @returns {WalletDiscovery}
+   */
+  static fromJSON(auxiliaryWeb3, json) {
+    const discovery = new WalletDiscovery(
+      auxiliaryWeb3,
+      json.userWalletFactory,
+      json.proxyFactory,
+      json.eip20Token,
+      json.tokenRules,
+      json.cursor.nextBlock
+    );
+    discovery.wallets = json.wallets;
+
+    return discovery;
+  }
+
+  /**
+   * Returns JSON representation of discovery state.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    const oThis = this;
+
+    return {
+      userWalletFactory: oThis.userWalletFactory,
+      proxyFactory: oThis.proxyFactory,
+      eip20Token: oThis.eip20Token,
+      tokenRules: oThis.tokenRules,
+      cursor: oThis.cursor,
+      wallets: oThis.wallets
+    };
+  }
+
+  /**
+   * Scans blocks from the cursor up to toBlock page by page.
+   *
+   * @param toBlock Block up to which scan is done. Defaults to the latest block.
+   * @param pageSize Optional number of blocks scanned in a page.
+   *
+   * @returns {Promise<Array>} Newly discovered wallets.
+   */
+  async scan(toBlock, pageSize) {
+    const oThis = this;
+
+    if (toBlock === undefined || toBlock === null) {
+      toBlock = await oThis.auxiliaryWeb3.eth.getBlockNumber();
+    }
+
+    let discoveredWallets = [];
+    while (oThis.cursor.nextBlock <= toBlock) {
+      discoveredWallets = discoveredWallets.concat(await oThis.scanPage(toBlock, pageSize));
+    }
+
+    return discoveredWallets;
+  }
+
+  /**
+   * Scans a single page of blocks from the cursor and moves the cursor to the next page. Discovered
+   * wallets and the cursor are updated together once the whole page is scanned, so a failed page can be retried.
+   *
+   * Wallet consists:
+   *  - gnosisSafeProxy: Gnosis safe proxy address. Null for company wallets.
+   *  - tokenHolderProxy: TokenHolder proxy address.
+   *  - blockNumber, transactionHash: Wallet creation details.
+   *  - owners: Owners of the wallet.
+   *  - sessionKeys: Session keys ever authorized in the token holder.
+   *
+   * @param toBlock Block up to which scan can be done. Defaults to the latest block.
+   * @param pageSize Optional number of blocks scanned in the page.
+   *
+   * @returns {Promise<Array>} Newly discovered wallets.
+   */
+  async scanPage(toBlock, pageSize) {
+    const oThis = this;
+
+    if (toBlock === undefined || toBlock === null) {
+      toBlock = await oThis.auxiliaryWeb3.eth.getBlockNumber();
+    }
+
+    const fromBlock = oThis.cursor.nextBlock,
+      pageToBlock = Math.min(toBlock, fromBlock + (pageSize || DefaultPageSize) - 1);
+
+    if (fromBlock > pageToBlock) {
+      return [];
+    }
+
+    const userWallets = await oThis._getUserWallets(fromBlock, pageToBlock),
+      companyWallets = await oThis._getCompanyWallets(fromBlock, pageToBlock),
+      discoveredWallets = userWallets.concat(companyWallets),
+      wallets = oThis.wallets.concat(discoveredWallets);
+
+    await oThis._updateSessionKeys(wallets, fromBlock, pageToBlock);
+    await oThis._updateOwners(wallets, fromBlock, pageToBlock, discoveredWallets);
+
+    oThis.wallets = wallets;
+    oThis.cursor = {
+      nextBlock: pageToBlock + 1
+    };
+
+    return discoveredWallets;
+  }
+
+  /**
+   * Returns all discovered wallets.
+   *
+   * @returns {Array} Wallets.
+   */
+  getWallets() {
+    const oThis = this;
+
+    return oThis.wallets;
+  }
+
+  /**
+   * Returns wallets in which the address is an owner or a session key.
+   *
+   * @param address Owner or session key address.
+   *
+   * @returns {Array} Wallets.
+   */
+  getWalletsByAddress(address) {
+    const oThis = this;
+
+    const lowerCaseAddress = address.toLowerCase();
+
+    return oThis.wallets.filter(function(wallet) {
+      return wallet.owners.concat(wallet.sessionKeys).some(function(key) {
+        return key.toLowerCase() === lowerCaseAddress;
+      });
+    });
+  }
+
+  /**
+   * Returns user wallets created in the block range.
+   *
+   * @param fromBlock Start block.
+   * @param toBlock End block.
+   *
+   * @returns {Promise<Array>} Wallets.
+   * @private
+   */
+  async _getUserWallets(fromBlock, toBlock) {
+    const oThis = this;
+
+    if (!oThis.userWalletFactory) {
+      return [];
+    }
+
+    const events = await oThis._getEvents(
+      UserWalletFactoryContractName,
+      'UserWalletCreated',
+      oThis.userWalletFactory,
+      fromBlock,
+      toBlock
+    );
+
+    const wallets = [];
+    for (let i = 0; i < events.length; i++) {
+      const event = events[i];
+      if (await oThis._isEconomyTokenHolder(event.returnValues._tokenHolderProxy)) {
+        wallets.push(
+          oThis._newWallet(event.returnValues._gnosisSafeProxy, event.returnValues._tokenHolderProxy, event)
+        );
+      }
+    }
+
+    return wallets;
+  }
+
+  /**
+   * Returns company wallets created in the block range. Proxies which are not token holders
+   * of the economy are skipped.
+   *
+   * @param fromBlock Start block.
+   * @param toBlock End block.
+   *
+   * @returns {Promise<Array>} Wallets.
+   * @private
+   */
+  async _getCompanyWallets(fromBlock, toBlock) {
+    const oThis = this;
+
+    if (!oThis.proxyFactory) {
+      return [];
+    }
+
+    const events = await oThis._getEvents(
+      ProxyFactoryContractName,
+      'ProxyCreated',
+      oThis.proxyFactory,
+      fromBlock,
+      toBlock
+    );
+
+    const wallets = [];
+    for (let i = 0; i < events.length; i++) {
+      const event = events[i];
+      if (await oThis._isEconomyTokenHolder(event.returnValues._proxy)) {
+        wallets.push(oThis._newWallet(null, event.returnValues._proxy, event));
+      }
+    }
+
+    return wallets;
+  }
+
+  /**
+   * Adds session keys authorized in the block range to the wallets. Session keys which are already known are skipped.
+   *
+   * @param wallets Known wallets including the wallets discovered in the block range.
+   * @param fromBlock Start block.
+   * @param toBlock End block.
+   *
+   * @returns Promise object.
+   * @private
+   */
+  async _updateSessionKeys(wallets, fromBlock, toBlock) {
+    const oThis = this;
+
+    const walletsByTokenHolder = {};
+    wallets.forEach(function(wallet) {
+      walletsByTokenHolder[wallet.tokenHolderProxy.toLowerCase()] = wallet;
+    });
+
+    const events = await oThis._getEvents(
+      TokenHolderContractName,
+      'SessionAuthorized',
+      Object.keys(walletsByTokenHolder),
+      fromBlock,
+      toBlock
+    );
+
+    events.forEach(function(event) {
+      const wallet = walletsByTokenHolder[event.address.toLowerCase()],
+        sessionKey = event.returnValues._sessionKey;
+      if (wallet.sessionKeys.indexOf(sessionKey) === -1) {
+        wallet.sessionKeys.push(sessionKey);
+      }
+    });
+  }
+
+  /**
+   * Reads owners of newly discovered wallets and of the wallets whose owners changed in the block range.
+   *
+   * @param wallets Known wallets including the wallets discovered in the block range.
+   * @param fromBlock Start block.
+   * @param toBlock End block.
+   * @param discoveredWallets Wallets discovered in the block range.
+   *
+   * @returns Promise object.
+   * @private
+   */
+  async _updateOwners(wallets, fromBlock, toBlock, discoveredWallets) {
+    const oThis = this;
+
+    const walletsBySafe = {};
+    wallets.forEach(function(wallet) {
+      if (wallet.gnosisSafeProxy) {
+        walletsBySafe[wallet.gnosisSafeProxy.toLowerCase()] = wallet;
+      }
+    });
+
+    const safes = Object.keys(walletsBySafe),
+      addedOwnerEvents = await oThis._getEvents(GnosisSafeContractName, 'AddedOwner', safes, fromBlock, toBlock),
+      removedOwnerEvents = await oThis._getEvents(GnosisSafeContractName, 'RemovedOwner', safes, fromBlock, toBlock);
+
+    const walletsToUpdate = new Set(discoveredWallets);
+    addedOwnerEvents.concat(removedOwnerEvents).forEach(function(event) {
+      walletsToUpdate.add(walletsBySafe[event.address.toLowerCase()]);
+    });
+
+    const updatedWallets = Array.from(walletsToUpdate);
+    for (let i = 0; i < updatedWallets.length; i++) {
+      updatedWallets[i].owners = await oThis._getOwners(updatedWallets[i]);
+    }
+  }
+
+  /**
+   * Returns owners of a wallet. Owner of a company wallet is the token holder owner.
+   *
+   * @param wallet Wallet.
+   *
+   * @returns {Promise<Array>} Owners.
+   * @private
+   */
+  async _getOwners(wallet) {
+    const oThis = this;
+
+    if (wallet.gnosisSafeProxy) {
+      return new GnosisSafe(wallet.gnosisSafeProxy, oThis.auxiliaryWeb3).getOwners();
+    }
+
+    const jsonInterface = oThis.abiBinProvider.getABI(TokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, wallet.tokenHolderProxy);
+
+    return [await contract.methods.owner().call()];
+  }
+
+  /**
+   * Checks that the address is a token holder of the economy token and token rules.
+   *
+   * @param tokenHolderProxy TokenHolder proxy address.
+   *
+   * @returns {Promise<Boolean>}
+   * @private
+   */
+  async _isEconomyTokenHolder(tokenHolderProxy) {
+    const oThis = this;
+
+    const jsonInterface = oThis.abiBinProvider.getABI(TokenHolderContractName),
+      contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, tokenHolderProxy);
+
+    let token, tokenRules;
+    try {
+      token = await contract.methods.token().call();
+      tokenRules = await contract.methods.tokenRules().call();
+    } catch (e) {
+      // Proxy is not a token holder.
+      return false;
+    }
+
+    return (
+      (!oThis.eip20Token || token.toLowerCase() === oThis.eip20Token.toLowerCase()) &&
+      (!oThis.tokenRules || tokenRules.toLowerCase() === oThis.tokenRules.toLowerCase())
+    );
+  }
+
+  /**
+   * Returns a new wallet object.
+   *
+   * @param gnosisSafeProxy Gnosis safe proxy address.
+   * @param tokenHolderProxy TokenHolder proxy address.
+   * @param event Wallet creation event.
+   *
+   * @returns {Object} Wallet.
+   * @private
+   */
+  _newWallet(gnosisSafeProxy, tokenHolderProxy, event) {
+    return {
+      gnosisSafeProxy: gnosisSafeProxy,
+      tokenHolderProxy: tokenHolderProxy,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      owners: [],
+      sessionKeys: []
+    };
+  }
+
+  /**
+   * Returns decoded events emitted by contracts in the block range.
+   *
+   * @param contractName Name of the contract whose ABI has the event.
+   * @param eventName Name of the event.
+   * @param address Contract address or list of contract addresses.
+   * @param fromBlock Start block.
+   * @param toBlock End block.
+   *
+   * @returns {Promise<Array>} Events with decoded returnValues.
+   * @private
+   */
+  async _getEvents(contractName, eventName, address, fromBlock, toBlock) {
+    const oThis = this;
+
+    if (Array.isArray(address) && address.length === 0) {
+      return [];
+    }
+
+    const web3 = oThis.auxiliaryWeb3,
+      eventAbi = oThis.abiBinProvider.getABI(contractName).find(function(item) {
+        return item.type === 'event' && item.name === eventName;
+      });
+
+    const logs = await web3.eth.getPastLogs({
+      fromBlock: fromBlock,
+      toBlock: toBlock,
+      address: address,
+      topics: [web3.eth.abi.encodeEventSignature(eventAbi)]
+    });
+
+    return logs.map(function(log) {
+      return Object.assign({}, log, {
+        returnValues: web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1))
+      });
+    });
+  }
+}
+
+module.exports = WalletDiscovery;
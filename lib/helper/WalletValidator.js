@@ -0,0 +1,285 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const ValidationError = require('../errors/ValidationError');
+
+const NullAddress = '0x0000000000000000000000000000000000000000';
+
+/**
+ * It validates wallet creation parameters against the current block height and the economy
+ * config, so that invalid input fails with a descriptive ValidationError before gas is spent.
+ */
+class WalletValidator {
+  /**
+   * Constructor of WalletValidator.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   */
+  constructor(auxiliaryWeb3) {
+    const oThis = this;
+
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+  }
+
+  /**
+   * Validates parameters of user wallet creation.
+   *
+   * @param economy Economy addresses: gnosisSafeMasterCopy, tokenHolderMasterCopy, eip20Token,
+   *                tokenRules and userWalletFactory.
+   * @param owners List of owners of the multisig.
+   * @param threshold Number of required confirmations for a Safe transaction.
+   * @param to Contract address for optional delegate call.
+   * @param data Data payload for optional delegate call.
+   * @param sessionKeys Session key addresses to authorize.
+   * @param sessionKeysSpendingLimits Session key's spending limits.
+   * @param sessionKeysExpirationHeights Session key's expiration heights.
+   *
+   * @returns Promise object. It is rejected with ValidationError if any parameter is invalid.
+   */
+  async validateUserWallet(
+    economy,
+    owners,
+    threshold,
+    to,
+    data,
+    sessionKeys,
+    sessionKeysSpendingLimits,
+    sessionKeysExpirationHeights
+  ) {
+    const oThis = this;
+
+    oThis._validateAddressList('owners', owners);
+
+    const thresholdNumber = Number(threshold);
+    if (!Number.isInteger(thresholdNumber) || thresholdNumber < 1 || thresholdNumber > owners.length) {
+      throw new ValidationError(
+        ValidationError.Codes.invalidThreshold,
+        'threshold',
+        'Threshold: ' + threshold + ' should be between 1 and number of owners: ' + owners.length + '.'
+      );
+    }
+
+    oThis._validateAddress('to', to, true);
+    if (!oThis.auxiliaryWeb3.utils.isHexStrict(data)) {
+      throw new ValidationError(ValidationError.Codes.invalidData, 'data', 'Data: ' + data + ' is not a hex string.');
+    }
+
+    await oThis.validateSessionKeys(sessionKeys, sessionKeysSpendingLimits, sessionKeysExpirationHeights);
+
+    await oThis._validateEconomy(economy, [
+      'gnosisSafeMasterCopy',
+      'tokenHolderMasterCopy',
+      'eip20Token',
+      'tokenRules',
+      'userWalletFactory'
+    ]);
+  }
+
+  /**
+   * Validates parameters of company wallet creation.
+   *
+   * @param economy Economy addresses: tokenHolderMasterCopy, eip20Token, tokenRules and proxyFactory.
+   * @param owner TokenHolder proxy owner address.
+   * @param sessionKeys Session key addresses to authorize.
+   * @param sessionKeysSpendingLimits Session key's spending limits.
+   * @param sessionKeysExpirationHeights Session key's expiration heights.
+   *
+   * @returns Promise object. It is rejected with ValidationError if any parameter is invalid.
+   */
+  async validateCompanyWallet(economy, owner, sessionKeys, sessionKeysSpendingLimits, sessionKeysExpirationHeights) {
+    const oThis = this;
+
+    oThis._validateAddress('owner', owner);
+
+    await oThis.validateSessionKeys(sessionKeys, sessionKeysSpendingLimits, sessionKeysExpirationHeights);
+
+    await oThis._validateEconomy(economy, ['tokenHolderMasterCopy', 'eip20Token', 'tokenRules', 'proxyFactory']);
+  }
+
+  /**
+   * Validates session keys with their spending limits and expiration heights. Expiration heights
+   * should be greater than the current block height.
+   *
+   * @param sessionKeys Session key addresses to authorize.
+   * @param sessionKeysSpendingLimits Session key's spending limits.
+   * @param sessionKeysExpirationHeights Session key's expiration heights.
+   *
+   * @returns Promise object. It is rejected with ValidationError if any parameter is invalid.
+   */
+  async validateSessionKeys(sessionKeys, sessionKeysSpendingLimits, sessionKeysExpirationHeights) {
+    const oThis = this;
+
+    oThis._validateAddressList('sessionKeys', sessionKeys);
+
+    if (
+      !Array.isArray(sessionKeysSpendingLimits) ||
+      !Array.isArray(sessionKeysExpirationHeights) ||
+      sessionKeysSpendingLimits.length !== sessionKeys.length ||
+      sessionKeysExpirationHeights.length !== sessionKeys.length
+    ) {
+      throw new ValidationError(
+        ValidationError.Codes.lengthMismatch,
+        'sessionKeys',
+        'Session keys, spending limits and expiration heights should be lists of same length.'
+      );
+    }
+
+    sessionKeysSpendingLimits.forEach(function(spendingLimit, index) {
+      oThis._validateAmount('sessionKeysSpendingLimits[' + index + ']', spendingLimit);
+    });
+
+    const blockNumber = await oThis.auxiliaryWeb3.eth.getBlockNumber();
+    sessionKeysExpirationHeights.forEach(function(expirationHeight, index) {
+      const field = 'sessionKeysExpirationHeights[' + index + ']';
+      oThis._validateAmount(field, expirationHeight);
+      if (oThis.auxiliaryWeb3.utils.toBN(expirationHeight).lte(oThis.auxiliaryWeb3.utils.toBN(blockNumber))) {
+        throw new ValidationError(
+          ValidationError.Codes.expiredHeight,
+          field,
+          'Expiration height: ' +
+            expirationHeight +
+            ' should be greater than current block height: ' +
+            blockNumber +
+            '.'
+        );
+      }
+    });
+  }
+
+  /**
+   * Validates that economy addresses are valid and the contracts are deployed.
+   *
+   * @param economy Economy addresses.
+   * @param names Names of the economy addresses which are needed.
+   *
+   * @returns Promise object.
+   * @private
+   */
+  async _validateEconomy(economy, names) {
+    const oThis = this;
+
+    for (let i = 0; i < names.length; i++) {
+      const address = economy[names[i]];
+      if (!oThis.auxiliaryWeb3.utils.isAddress(address) || address === NullAddress) {
+        throw new ValidationError(
+          ValidationError.Codes.invalidEconomyConfig,
+          names[i],
+          'Economy config ' + names[i] + ': ' + address + ' is not a valid address.'
+        );
+      }
+
+      const code = await oThis.auxiliaryWeb3.eth.getCode(address);
+      if (code.length <= 2) {
+        throw new ValidationError(
+          ValidationError.Codes.invalidEconomyConfig,
+          names[i],
+          'Economy config ' + names[i] + ': ' + address + ' is not a contract.'
+        );
+      }
+    }
+  }
+
+  /**
+   * Validates that the list consists distinct non null checksum addresses.
+   *
+   * @param field Name of the input.
+   * @param addresses List of addresses.
+   *
+   * @private
+   */
+  _validateAddressList(field, addresses) {
+    const oThis = this;
+
+    if (!Array.isArray(addresses)) {
+      throw new ValidationError(ValidationError.Codes.invalidAddress, field, field + ' should be a list of addresses.');
+    }
+
+    const seenAddresses = {};
+    addresses.forEach(function(address, index) {
+      oThis._validateAddress(field + '[' + index + ']', address);
+
+      const lowerCaseAddress = address.toLowerCase();
+      if (seenAddresses[lowerCaseAddress]) {
+        throw new ValidationError(
+          ValidationError.Codes.duplicateAddress,
+          field,
+          'Address: ' + address + ' is repeated in ' + field + '.'
+        );
+      }
+      seenAddresses[lowerCaseAddress] = true;
+    });
+  }
+
+  /**
+   * Validates that the address is a checksum address.
+   *
+   * @param field Name of the input.
+   * @param address Address to validate.
+   * @param allowNullAddress Whether null address is a valid input.
+   *
+   * @private
+   */
+  _validateAddress(field, address, allowNullAddress) {
+    const oThis = this;
+
+    const web3Utils = oThis.auxiliaryWeb3.utils;
+    if (typeof address !== 'string' || !web3Utils.isAddress(address) || !web3Utils.checkAddressChecksum(address)) {
+      throw new ValidationError(
+        ValidationError.Codes.invalidAddress,
+        field,
+        field + ': ' + address + ' is not a checksum address.'
+      );
+    }
+
+    if (!allowNullAddress && address === NullAddress) {
+      throw new ValidationError(ValidationError.Codes.invalidAddress, field, field + ' should not be null address.');
+    }
+  }
+
+  /**
+   * Validates that the amount is a non negative integer.
+   *
+   * @param field Name of the input.
+   * @param amount Amount as number, decimal or hex string or BN.
+   *
+   * @private
+   */
+  _validateAmount(field, amount) {
+    const oThis = this;
+
+    const web3Utils = oThis.auxiliaryWeb3.utils,
+      isInteger =
+        web3Utils.isBN(amount) ||
+        (typeof amount === 'number' && Number.isSafeInteger(amount)) ||
+        (typeof amount === 'string' && /^([0-9]+|0x[0-9a-fA-F]+)$/.test(amount));
+
+    if (!isInteger || web3Utils.toBN(amount).isNeg()) {
+      throw new ValidationError(
+        ValidationError.Codes.invalidAmount,
+        field,
+        field + ': ' + amount + ' should be a non negative integer.'
+      );
+    }
+  }
+}
+
+module.exports = WalletValidator;
@@ -0,0 +1,107 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const Web3Utils = require('web3-utils');
+
+/**
+ * It collects gas estimations of setup steps and prices them at a gas price.
+ */
+class CostReport {
+  /**
+   * Constructor of CostReport.
+   *
+   * @param gasPrice Gas price in wei used to price the estimations.
+   */
+  constructor(gasPrice) {
+    const oThis = this;
+
+    oThis.gasPrice = Web3Utils.toBN(gasPrice || '0');
+    oThis.steps = [];
+  }
+
+  /**
+   * Adds estimation of a step.
+   *
+   * @param step Name of the step.
+   * @param gas Estimated gas. Null if gas could not be estimated.
+   * @param reason Reason why gas could not be estimated.
+   */
+  add(step, gas, reason) {
+    const oThis = this;
+
+    oThis.steps.push({
+      step: step,
+      gas: gas,
+      reason: reason
+    });
+  }
+
+  /**
+   * Returns structured report. Amounts are decimal strings in wei.
+   *
+   * Report consists:
+   *  - gasPrice: Gas price used for pricing.
+   *  - steps: List of steps with estimated gas and cost. Gas and cost are null if gas could not be estimated.
+   *  - totalGas: Sum of all the estimated gas.
+   *  - totalCost: Sum of all the estimated costs.
+   *  - complete: False if gas of any step could not be estimated.
+   *
+   * @returns {Object} Cost report.
+   */
+  toJSON() {
+    const oThis = this;
+
+    let totalGas = Web3Utils.toBN('0'),
+      complete = true;
+
+    const steps = oThis.steps.map(function(stepData) {
+      if (stepData.gas === null || stepData.gas === undefined) {
+        complete = false;
+        return {
+          step: stepData.step,
+          gas: null,
+          cost: null,
+          reason: stepData.reason
+        };
+      }
+
+      const gas = Web3Utils.toBN(stepData.gas);
+      totalGas = totalGas.add(gas);
+
+      return {
+        step: stepData.step,
+        gas: gas.toString(10),
+        cost: gas.mul(oThis.gasPrice).toString(10)
+      };
+    });
+
+    return {
+      gasPrice: oThis.gasPrice.toString(10),
+      steps: steps,
+      totalGas: totalGas.toString(10),
+      totalCost: totalGas.mul(oThis.gasPrice).toString(10),
+      complete: complete
+    };
+  }
+}
+
+module.exports = CostReport;
@@ -0,0 +1,205 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+//__NOT_FOR_WEB__BEGIN__
+const fs = require('fs');
+//__NOT_FOR_WEB__END__
+
+const Web3Utils = require('web3-utils');
+
+/**
+ * It keeps record of deployed contracts so that an interrupted setup can be
+ * resumed without deploying the already deployed contracts again.
+ *
+ * Entries are keyed by deployment id, which defaults to the contract name. A
+ * contract deployed more than once needs a distinct deployment id per deployment.
+ *
+ * Every entry consists of deployment id, contract name, address, transaction hash,
+ * block number and artifact hash. Artifact hash is the hash of the deployment data (bin and
+ * constructor arguments), so a contract is deployed again if any of them changes.
+ */
+class DeploymentManifest {
+  /**
+   * Constructor of DeploymentManifest.
+   *
+   * @param filePath Path of the JSON file where manifest is persisted. Manifest is kept in memory only if not provided.
+   * @param contracts Deployed contract entries keyed by deployment id.
+   */
+  constructor(filePath, contracts) {
+    const oThis = this;
+
+    oThis.filePath = filePath || null;
+    oThis.contracts = contracts || {};
+  }
+
+  /**
+   * Loads manifest from the JSON file. An empty manifest is returned if file doesn't exist.
+   *
+   * @param filePath Path of the manifest JSON file.
+   *
+   * @returns {DeploymentManifest}
+   */
+  static load(filePath) {
+    let contracts = {};
+
+    //__NOT_FOR_WEB__BEGIN__
+    if (fs.existsSync(filePath)) {
+      contracts = JSON.parse(fs.readFileSync(filePath, 'utf8')).contracts || {};
+    }
+    //__NOT_FOR_WEB__END__
+
+    return new DeploymentManifest(filePath, contracts);
+  }
+
+  /**
+   * Creates manifest from its JSON representation.
+   *
+   * @param json Object returned by toJSON method.
+   * @param filePath Path of the JSON file where manifest is persisted.
+   *
+   * @returns {DeploymentManifest}
+   */
+  static fromJSON(json, filePath) {
+    return new DeploymentManifest(filePath, Object.assign({}, json.contracts));
+  }
+
+  /**
+   * Returns hash of the deployment data.
+   *
+   * @param deployData Deployment data i.e. bin with encoded constructor arguments.
+   *
+   * @returns {String} Artifact hash.
+   */
+  static artifactHash(deployData) {
+    return Web3Utils.sha3(deployData);
+  }
+
+  /**
+   * Returns JSON representation of manifest.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    const oThis = this;
+
+    return {
+      contracts: oThis.contracts
+    };
+  }
+
+  /**
+   * Returns manifest entry of a deployment.
+   *
+   * @param deploymentId Id of the deployment.
+   *
+   * @returns {Object|null} Manifest entry.
+   */
+  get(deploymentId) {
+    const oThis = this;
+
+    return oThis.contracts[deploymentId] || null;
+  }
+
+  /**
+   * Records a deployed contract and persists the manifest.
+   *
+   * @param deploymentId Id of the deployment.
+   * @param contractName Name of the contract.
+   * @param receipt Deployment transaction receipt.
+   * @param deployData Deployment data i.e. bin with encoded constructor arguments.
+   */
+  record(deploymentId, contractName, receipt, deployData) {
+    const oThis = this;
+
+    oThis.contracts[deploymentId] = {
+      deploymentId: deploymentId,
+      contractName: contractName,
+      address: receipt.contractAddress,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      artifactHash: DeploymentManifest.artifactHash(deployData)
+    };
+
+    oThis.save();
+  }
+
+  /**
+   * Removes a deployment entry and persists the manifest.
+   *
+   * @param deploymentId Id of the deployment.
+   */
+  remove(deploymentId) {
+    const oThis = this;
+
+    delete oThis.contracts[deploymentId];
+
+    oThis.save();
+  }
+
+  /**
+   * Writes manifest to the JSON file. It does nothing if file path is not set.
+   */
+  save() {
+    const oThis = this;
+
+    if (!oThis.filePath) {
+      return;
+    }
+
+    //__NOT_FOR_WEB__BEGIN__
+    fs.writeFileSync(oThis.filePath, JSON.stringify(oThis.toJSON(), null, 2));
+    //__NOT_FOR_WEB__END__
+  }
+
+  /**
+   * Returns manifest entry of a deployment if it was done with the same deployment
+   * data and the contract is still present on chain.
+   *
+   * @param deploymentId Id of the deployment.
+   * @param deployData Deployment data i.e. bin with encoded constructor arguments.
+   * @param web3 Web3 object.
+   *
+   * @returns {Promise<Object|null>} Manifest entry if verified otherwise null.
+   */
+  async getVerified(deploymentId, deployData, web3) {
+    const oThis = this;
+
+    const entry = oThis.get(deploymentId);
+    if (!entry || entry.artifactHash !== DeploymentManifest.artifactHash(deployData)) {
+      return null;
+    }
+
+    const receipt = await web3.eth.getTransactionReceipt(entry.transactionHash);
+    if (!receipt || !receipt.status || receipt.contractAddress !== entry.address) {
+      return null;
+    }
+
+    const code = await web3.eth.getCode(entry.address);
+    if (code.length <= 2) {
+      return null;
+    }
+
+    return entry;
+  }
+}
+
+module.exports = DeploymentManifest;
@@ -0,0 +1,280 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const AbiBinProvider = require('../AbiBinProvider'),
+  TokenRulesSetup = require('./TokenRules'),
+  UserSetup = require('./User'),
+  RulesSetup = require('./Rules'),
+  TokenRulesHelper = require('../helper/TokenRules'),
+  CostReport = require('./CostReport');
+
+const TokenRulesContractName = 'TokenRules',
+  PricerRuleContractName = 'PricerRule',
+  PricerRuleName = 'PricerRule';
+
+// Used in place of TokenRules address while estimating PricerRule deployment before TokenRules
+// is deployed. Non-zero bytes make the calldata cost an upper bound.
+const PlaceholderAddress = '0xffffffffffffffffffffffffffffffffffffffff';
+
+/**
+ * Performs the complete setup of an economy. It deploys TokenRules, the user
+ * wallet master copies and factories, PricerRule and registers PricerRule
+ * in TokenRules.
+ *
+ * If a deployment manifest is provided, re-running the setup skips the contracts
+ * which are already deployed and the rule registration if it is already done.
+ */
+class Economy {
+  /**
+   * Constructor for Economy setup.
+   *
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param manifest Optional deployment manifest to resume deployments.
+   * @param ruleRegistry Optional RuleRegistry used to check registered rules if it belongs to the deployed token rules.
+   */
+  constructor(auxiliaryWeb3, manifest, ruleRegistry) {
+    const oThis = this;
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.manifest = manifest;
+    oThis.ruleRegistry = ruleRegistry || null;
+    oThis.abiBinProvider = new AbiBinProvider();
+  }
+
+  /**
+   * Deploys and configures all the contracts of an economy.
+   *
+   * @param organization Organization which holds all the keys needed to administer the economy.
+   * @param eip20Token EIP20 token contract address deployed for an economy.
+   * @param pricerRuleConfig PricerRule constructor params:
+   *                          - baseCurrencyCode: The economy base currency code.
+   *                          - conversionRate: The conversion rate from the economy base currency to the token.
+   *                          - conversionRateDecimals: The conversion rate's decimals.
+   *                          - requiredPriceOracleDecimals: Required decimals for price oracles.
+   * @param txOptions Tx options used for deployments.
+   * @param workerTxOptions Tx options used for rule registration. From address should be a worker of the organization.
+   *
+   * @returns {Object} Addresses of all the deployed contracts. `skipped` lists the steps which were skipped
+   *                   as they were already done as per the deployment manifest.
+   */
+  async deploy(organization, eip20Token, pricerRuleConfig, txOptions, workerTxOptions) {
+    const oThis = this;
+
+    const tokenRulesSetup = new TokenRulesSetup(oThis.auxiliaryWeb3, oThis.manifest),
+      userSetup = new UserSetup(oThis.auxiliaryWeb3, oThis.manifest);
+
+    const tokenRulesResponse = await tokenRulesSetup.deploy(organization, eip20Token, txOptions),
+      tokenRules = tokenRulesResponse.receipt.contractAddress;
+
+    const gnosisSafeMasterCopyResponse = await userSetup.deployMultiSigMasterCopy(txOptions),
+      tokenHolderMasterCopyResponse = await userSetup.deployTokenHolderMasterCopy(txOptions),
+      userWalletFactoryResponse = await userSetup.deployUserWalletFactory(txOptions),
+      proxyFactoryResponse = await userSetup.deployProxyFactory(txOptions);
+
+    const rulesSetup = new RulesSetup(oThis.auxiliaryWeb3, organization, eip20Token, tokenRules, oThis.manifest),
+      pricerRuleResponse = await rulesSetup.deployPricerRule(
+        pricerRuleConfig.baseCurrencyCode,
+        pricerRuleConfig.conversionRate,
+        pricerRuleConfig.conversionRateDecimals,
+        pricerRuleConfig.requiredPriceOracleDecimals,
+        txOptions
+      ),
+      pricerRule = pricerRuleResponse.receipt.contractAddress;
+
+    const registrationReceipt = await oThis._registerPricerRule(tokenRules, pricerRule, workerTxOptions);
+
+    const steps = {
+      deployTokenRules: tokenRulesResponse.skipped,
+      deployMultiSigMasterCopy: gnosisSafeMasterCopyResponse.skipped,
+      deployTokenHolderMasterCopy: tokenHolderMasterCopyResponse.skipped,
+      deployUserWalletFactory: userWalletFactoryResponse.skipped,
+      deployProxyFactory: proxyFactoryResponse.skipped,
+      deployPricerRule: pricerRuleResponse.skipped,
+      registerPricerRule: registrationReceipt === null
+    };
+
+    return {
+      organization: organization,
+      eip20Token: eip20Token,
+      tokenRules: tokenRules,
+      gnosisSafeMasterCopy: gnosisSafeMasterCopyResponse.receipt.contractAddress,
+      tokenHolderMasterCopy: tokenHolderMasterCopyResponse.receipt.contractAddress,
+      userWalletFactory: userWalletFactoryResponse.receipt.contractAddress,
+      proxyFactory: proxyFactoryResponse.receipt.contractAddress,
+      pricerRule: pricerRule,
+      skipped: Object.keys(steps).filter(function(step) {
+        return steps[step];
+      })
+    };
+  }
+
+  /**
+   * Estimates gas and cost of all the steps of economy setup. Nothing is broadcasted.
+   *
+   * Registration of PricerRule can be estimated only when TokenRules and PricerRule are
+   * already deployed as per the deployment manifest. Otherwise, it is reported without gas.
+   *
+   * @param organization Organization which holds all the keys needed to administer the economy.
+   * @param eip20Token EIP20 token contract address deployed for an economy.
+   * @param pricerRuleConfig PricerRule constructor params. See deploy method.
+   * @param txOptions Tx options used for deployments.
+   * @param workerTxOptions Tx options used for rule registration. From address should be a worker of the organization.
+   * @param gasPrice Gas price used for pricing. Defaults to gas price of txOptions.
+   *
+   * @returns {Promise<Object>} Cost report. See CostReport.toJSON.
+   */
+  async estimate(organization, eip20Token, pricerRuleConfig, txOptions, workerTxOptions, gasPrice) {
+    const oThis = this;
+
+    const report = new CostReport(gasPrice || txOptions.gasPrice),
+      tokenRulesSetup = new TokenRulesSetup(oThis.auxiliaryWeb3, oThis.manifest),
+      userSetup = new UserSetup(oThis.auxiliaryWeb3, oThis.manifest);
+
+    const tokenRulesGas = await tokenRulesSetup.estimateDeploy(organization, eip20Token, txOptions),
+      tokenRules = oThis._getDeployedAddress(TokenRulesContractName, tokenRulesGas);
+    report.add('deployTokenRules', tokenRulesGas);
+
+    report.add('deployMultiSigMasterCopy', await userSetup.estimateDeployMultiSigMasterCopy(txOptions));
+    report.add('deployTokenHolderMasterCopy', await userSetup.estimateDeployTokenHolderMasterCopy(txOptions));
+    report.add('deployUserWalletFactory', await userSetup.estimateDeployUserWalletFactory(txOptions));
+    report.add('deployProxyFactory', await userSetup.estimateDeployProxyFactory(txOptions));
+
+    const rulesSetup = new RulesSetup(
+      oThis.auxiliaryWeb3,
+      organization,
+      eip20Token,
+      tokenRules || PlaceholderAddress,
+      oThis.manifest
+    );
+    const pricerRuleGas = await rulesSetup.estimateDeployPricerRule(
+        pricerRuleConfig.baseCurrencyCode,
+        pricerRuleConfig.conversionRate,
+        pricerRuleConfig.conversionRateDecimals,
+        pricerRuleConfig.requiredPriceOracleDecimals,
+        txOptions
+      ),
+      pricerRule = tokenRules && oThis._getDeployedAddress(PricerRuleContractName, pricerRuleGas);
+    report.add('deployPricerRule', pricerRuleGas);
+
+    if (pricerRule) {
+      report.add(
+        'registerPricerRule',
+        await oThis._estimateRegisterPricerRule(tokenRules, pricerRule, workerTxOptions)
+      );
+    } else {
+      report.add('registerPricerRule', null, 'TokenRules and PricerRule are not deployed yet.');
+    }
+
+    return report.toJSON();
+  }
+
+  /**
+   * Returns address of a contract from manifest if its deployment is going to be skipped.
+   *
+   * @param deploymentId Id of the deployment in manifest.
+   * @param estimatedGas Estimated gas of the deployment. It is 0 for verified manifest entries.
+   *
+   * @returns {String|null} Contract address.
+   * @private
+   */
+  _getDeployedAddress(deploymentId, estimatedGas) {
+    const oThis = this;
+
+    if (!oThis.manifest || estimatedGas !== 0) {
+      return null;
+    }
+
+    return oThis.manifest.get(deploymentId).address;
+  }
+
+  /**
+   * Estimates gas of PricerRule registration. It is 0 if rule is already registered.
+   *
+   * @param tokenRules TokenRules contract address.
+   * @param pricerRule PricerRule contract address.
+   * @param workerTxOptions Tx options. From address should be a worker of the organization.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   * @private
+   */
+  async _estimateRegisterPricerRule(tokenRules, pricerRule, workerTxOptions) {
+    const oThis = this;
+
+    const tokenRulesHelper = oThis._getTokenRulesHelper(tokenRules),
+      pricerRuleAbi = oThis.abiBinProvider.getABI(PricerRuleContractName);
+
+    if (await tokenRulesHelper.isRuleRegistered(PricerRuleName)) {
+      return 0;
+    }
+
+    return tokenRulesHelper.estimateRegisterRule(
+      PricerRuleName,
+      pricerRule,
+      JSON.stringify(pricerRuleAbi),
+      workerTxOptions
+    );
+  }
+
+  /**
+   * Registers PricerRule in TokenRules. Registration is skipped if a rule with the same name is
+   * already registered.
+   *
+   * @param tokenRules TokenRules contract address.
+   * @param pricerRule PricerRule contract address.
+   * @param workerTxOptions Tx options. From address should be a worker of the organization.
+   *
+   * @returns {Object|null} Transaction receipt or null if rule was already registered.
+   * @private
+   */
+  async _registerPricerRule(tokenRules, pricerRule, workerTxOptions) {
+    const oThis = this;
+
+    const tokenRulesHelper = oThis._getTokenRulesHelper(tokenRules),
+      pricerRuleAbi = oThis.abiBinProvider.getABI(PricerRuleContractName);
+
+    if (await tokenRulesHelper.isRuleRegistered(PricerRuleName)) {
+      return null;
+    }
+
+    return tokenRulesHelper.registerRule(PricerRuleName, pricerRule, JSON.stringify(pricerRuleAbi), workerTxOptions);
+  }
+
+  /**
+   * It returns TokenRules helper which uses the rule registry if it belongs to the token rules.
+   *
+   * @param tokenRules TokenRules contract address.
+   *
+   * @returns {TokenRulesHelper}
+   * @private
+   */
+  _getTokenRulesHelper(tokenRules) {
+    const oThis = this;
+
+    const ruleRegistry =
+      oThis.ruleRegistry && oThis.ruleRegistry.tokenRules.toLowerCase() === tokenRules.toLowerCase()
+        ? oThis.ruleRegistry
+        : null;
+
+    return new TokenRulesHelper(tokenRules, oThis.auxiliaryWeb3, ruleRegistry);
+  }
+}
+
+module.exports = Economy;
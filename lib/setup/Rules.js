@@ -22,6 +22,7 @@
 
 const AbiBinProvider = require('../AbiBinProvider'),
   Deployer = require('../../utils/DeployContract'),
+  TokenRulesHelper = require('../helper/TokenRules'),
   PricerRuleContractName = 'PricerRule';
 
 /**
@@ -35,13 +36,17 @@ class Rules {
    * @param organization Organization address.
    * @param eip20Token The economy token address.
    * @param tokenRules The economy token rules address.
+   * @param manifest Optional deployment manifest to resume deployments.
+   * @param ruleRegistry Optional RuleRegistry of the token rules used to check registered rules.
    */
-  constructor(auxiliaryWeb3, organization, eip20Token, tokenRules) {
+  constructor(auxiliaryWeb3, organization, eip20Token, tokenRules, manifest, ruleRegistry) {
     const oThis = this;
     oThis.auxiliaryWeb3 = auxiliaryWeb3;
     oThis.organization = organization;
     oThis.eip20Token = eip20Token;
     oThis.tokenRules = tokenRules;
+    oThis.manifest = manifest;
+    oThis.ruleRegistry = ruleRegistry;
     oThis.abiBinProvider = new AbiBinProvider();
   }
 
@@ -55,6 +60,7 @@ class Rules {
    *                                economy base currency to the token.
    * @param requiredPriceOracleDecimals Required decimals for price oracles.
    * @param txOptions Tx options.
+   * @param deploymentId Optional id of the deployment in manifest. Defaults to contract name.
    *
    * @returns {Object} - Transaction receipt.
    */
@@ -63,7 +69,8 @@ class Rules {
     conversionRate,
     conversionRateDecimals,
     requiredPriceOracleDecimals,
-    txOptions
+    txOptions,
+    deploymentId
   ) {
     const oThis = this;
 
@@ -74,11 +81,205 @@ class Rules {
       requiredPriceOracleDecimals
     );
 
-    const txReceipt = await new Deployer(PricerRuleContractName, txObject, oThis.auxiliaryWeb3, txOptions).deploy();
+    const txReceipt = await new Deployer(
+      PricerRuleContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest,
+      oThis.abiBinProvider.getABI(PricerRuleContractName),
+      deploymentId
+    ).deploy();
 
     return txReceipt;
   }
 
+  /**
+   * Estimates gas for deployment of PricerRule contract. Nothing is broadcasted.
+   *
+   * @param baseCurrencyCode The economy base currency code.
+   * @param conversionRate The conversion rate from the economy base currency
+   *                        to the token.
+   * @param conversionRateDecimals The conversion rate's decimals from the
+   *                                economy base currency to the token.
+   * @param requiredPriceOracleDecimals Required decimals for price oracles.
+   * @param txOptions Tx options.
+   * @param deploymentId Optional id of the deployment in manifest. Defaults to contract name.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateDeployPricerRule(
+    baseCurrencyCode,
+    conversionRate,
+    conversionRateDecimals,
+    requiredPriceOracleDecimals,
+    txOptions,
+    deploymentId
+  ) {
+    const oThis = this;
+
+    const txObject = oThis._deployPricerRuleRawTx(
+      baseCurrencyCode,
+      conversionRate,
+      conversionRateDecimals,
+      requiredPriceOracleDecimals
+    );
+
+    return new Deployer(
+      PricerRuleContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest,
+      null,
+      deploymentId
+    ).estimateGas();
+  }
+
+  /**
+   * Performs deployment of a custom rule contract.
+   *
+   * @param contractName Name of the rule contract. ABI and BIN are taken from AbiBinProvider
+   *                     if they are not provided.
+   * @param args Constructor arguments of the rule contract.
+   * @param txOptions Tx options.
+   * @param abi Optional ABI of the rule contract.
+   * @param bin Optional BIN of the rule contract.
+   * @param deploymentId Optional id of the deployment in manifest. Defaults to contract name, so it must
+   *                     be provided if the same rule contract is deployed more than once.
+   *
+   * @returns {Object} - Transaction receipt.
+   */
+  async deployRule(contractName, args, txOptions, abi, bin, deploymentId) {
+    const oThis = this;
+
+    const txObject = oThis._deployRuleRawTx(contractName, args, abi, bin);
+
+    const txReceipt = await new Deployer(
+      contractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest,
+      oThis._getRuleAbi(contractName, abi),
+      deploymentId
+    ).deploy();
+
+    return txReceipt;
+  }
+
+  /**
+   * Performs deployment of a custom rule contract and registers it in TokenRules.
+   * Registration is skipped if a rule with the same name is already registered.
+   *
+   * @param contractName Name of the rule contract. ABI and BIN are taken from AbiBinProvider
+   *                     if they are not provided.
+   * @param args Constructor arguments of the rule contract.
+   * @param ruleName Name under which the rule is registered in TokenRules.
+   * @param txOptions Tx options used for deployment.
+   * @param workerTxOptions Tx options used for registration. From address should be a worker of the organization.
+   * @param abi Optional ABI of the rule contract.
+   * @param bin Optional BIN of the rule contract.
+   *
+   * @returns {Object} - Deployment response with `registrationReceipt`. It is null if rule was already
+   *                      registered. Rule name is used as deployment id.
+   */
+  async deployAndRegisterRule(contractName, args, ruleName, txOptions, workerTxOptions, abi, bin) {
+    const oThis = this;
+
+    const deployResponse = await oThis.deployRule(contractName, args, txOptions, abi, bin, ruleName),
+      ruleAddress = deployResponse.receipt.contractAddress,
+      ruleAbi = JSON.stringify(oThis._getRuleAbi(contractName, abi));
+
+    const tokenRulesHelper = new TokenRulesHelper(oThis.tokenRules, oThis.auxiliaryWeb3, oThis.ruleRegistry);
+    if (await tokenRulesHelper.isRuleRegistered(ruleName)) {
+      deployResponse.registrationReceipt = null;
+      return deployResponse;
+    }
+
+    deployResponse.registrationReceipt = await tokenRulesHelper.registerRule(
+      ruleName,
+      ruleAddress,
+      ruleAbi,
+      workerTxOptions
+    );
+
+    return deployResponse;
+  }
+
+  /**
+   * Estimates gas for deployment of a custom rule contract. Nothing is broadcasted.
+   *
+   * @param contractName Name of the rule contract. ABI and BIN are taken from AbiBinProvider
+   *                     if they are not provided.
+   * @param args Constructor arguments of the rule contract.
+   * @param txOptions Tx options.
+   * @param abi Optional ABI of the rule contract.
+   * @param bin Optional BIN of the rule contract.
+   * @param deploymentId Optional id of the deployment in manifest. Defaults to contract name.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateDeployRule(contractName, args, txOptions, abi, bin, deploymentId) {
+    const oThis = this;
+
+    const txObject = oThis._deployRuleRawTx(contractName, args, abi, bin);
+
+    return new Deployer(
+      contractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest,
+      null,
+      deploymentId
+    ).estimateGas();
+  }
+
+  /**
+   * Returns Tx object of a custom rule contract.
+   *
+   * @param contractName Name of the rule contract.
+   * @param args Constructor arguments of the rule contract.
+   * @param abi Optional ABI of the rule contract.
+   * @param bin Optional BIN of the rule contract.
+   *
+   * @returns {Object} - Transaction object.
+   * @private
+   */
+  _deployRuleRawTx(contractName, args, abi, bin) {
+    const oThis = this;
+
+    const jsonInterface = oThis._getRuleAbi(contractName, abi),
+      data = bin || oThis.abiBinProvider.getBIN(contractName);
+
+    const contract = new oThis.auxiliaryWeb3.eth.Contract(jsonInterface, null);
+
+    return contract.deploy({
+      data: data,
+      arguments: args || []
+    });
+  }
+
+  /**
+   * Returns ABI of a rule contract. ABI can be provided as JSON string or object.
+   *
+   * @param contractName Name of the rule contract.
+   * @param abi Optional ABI of the rule contract.
+   *
+   * @returns {Array} - ABI of the rule.
+   * @private
+   */
+  _getRuleAbi(contractName, abi) {
+    const oThis = this;
+
+    if (!abi) {
+      return oThis.abiBinProvider.getABI(contractName);
+    }
+
+    return typeof abi === 'string' ? JSON.parse(abi) : abi;
+  }
+
   /**
    * Returns Tx object of PricerRule contract.
    *
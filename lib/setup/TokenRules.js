@@ -32,10 +32,12 @@ class TokenRules {
    * Constructor for TokenRules.
    *
    * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param manifest Optional deployment manifest to resume deployments.
    */
-  constructor(auxiliaryWeb3) {
+  constructor(auxiliaryWeb3, manifest) {
     const oThis = this;
     oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.manifest = manifest;
     oThis.abiBinProvider = new AbiBinProvider();
   }
 
@@ -55,11 +57,35 @@ class TokenRules {
 
     let txReceipt;
 
-    txReceipt = await new Deployer(ContractName, txObject, oThis.auxiliaryWeb3, txOptions).deploy();
+    txReceipt = await new Deployer(
+      ContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest,
+      oThis.abiBinProvider.getABI(ContractName)
+    ).deploy();
 
     return txReceipt;
   }
 
+  /**
+   * Estimates gas for deployment of TokenRules contract. Nothing is broadcasted.
+   *
+   * @param organization Organization which holds all the keys needed to administer the economy.
+   * @param token EIP20 token contract address deployed for an economy.
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateDeploy(organization, token, txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._deployRawTx(organization, token);
+
+    return new Deployer(ContractName, txObject, oThis.auxiliaryWeb3, txOptions, oThis.manifest).estimateGas();
+  }
+
   /**
    * Performs deployment of TokenRules contract.
    *
@@ -34,10 +34,12 @@ const MultiSigMasterCopyContractName = 'GnosisSafe',
 class User {
   /**
    * @param auxiliaryWeb3 - Auxiliary chain Web3 object.
+   * @param manifest - Optional deployment manifest to resume deployments.
    */
-  constructor(auxiliaryWeb3) {
+  constructor(auxiliaryWeb3, manifest) {
     const oThis = this;
     oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.manifest = manifest;
     oThis.abiBinProvider = new AbiBinProvider();
   }
 
@@ -57,7 +59,9 @@ class User {
       MultiSigMasterCopyContractName,
       txObject,
       oThis.auxiliaryWeb3,
-      txOptions
+      txOptions,
+      oThis.manifest,
+      oThis.abiBinProvider.getABI(MultiSigMasterCopyContractName)
     ).deploy();
 
     return txReceipt;
@@ -75,7 +79,14 @@ class User {
 
     const txObject = oThis._deployTokenHolderMasterCopyRawTx();
 
-    const txReceipt = await new Deployer(THMasterCopyContractName, txObject, oThis.auxiliaryWeb3, txOptions).deploy();
+    const txReceipt = await new Deployer(
+      THMasterCopyContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest,
+      oThis.abiBinProvider.getABI(THMasterCopyContractName)
+    ).deploy();
 
     return txReceipt;
   }
@@ -96,7 +107,9 @@ class User {
       UserWalletFactoryContractName,
       txObject,
       oThis.auxiliaryWeb3,
-      txOptions
+      txOptions,
+      oThis.manifest,
+      oThis.abiBinProvider.getABI(UserWalletFactoryContractName)
     ).deploy();
 
     return txReceipt;
@@ -114,11 +127,102 @@ class User {
 
     const txObject = oThis._deployProxyFactoryRawTx();
 
-    const txReceipt = await new Deployer(ProxyFactoryContractName, txObject, oThis.auxiliaryWeb3, txOptions).deploy();
+    const txReceipt = await new Deployer(
+      ProxyFactoryContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest,
+      oThis.abiBinProvider.getABI(ProxyFactoryContractName)
+    ).deploy();
 
     return txReceipt;
   }
 
+  /**
+   * Estimates gas for deployment of gnosis MultiSig master copy contract. Nothing is broadcasted.
+   *
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateDeployMultiSigMasterCopy(txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._deployMultiSigMasterCopyRawTx();
+
+    return new Deployer(
+      MultiSigMasterCopyContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest
+    ).estimateGas();
+  }
+
+  /**
+   * Estimates gas for deployment of TokenHolder master copy contract. Nothing is broadcasted.
+   *
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateDeployTokenHolderMasterCopy(txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._deployTokenHolderMasterCopyRawTx();
+
+    return new Deployer(
+      THMasterCopyContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest
+    ).estimateGas();
+  }
+
+  /**
+   * Estimates gas for deployment of UserWalletFactory contract. Nothing is broadcasted.
+   *
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateDeployUserWalletFactory(txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._deployUserWalletFactoryRawTx();
+
+    return new Deployer(
+      UserWalletFactoryContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest
+    ).estimateGas();
+  }
+
+  /**
+   * Estimates gas for deployment of ProxyFactory contract. Nothing is broadcasted.
+   *
+   * @param txOptions Tx options.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateDeployProxyFactory(txOptions) {
+    const oThis = this;
+
+    const txObject = oThis._deployProxyFactoryRawTx();
+
+    return new Deployer(
+      ProxyFactoryContractName,
+      txObject,
+      oThis.auxiliaryWeb3,
+      txOptions,
+      oThis.manifest
+    ).estimateGas();
+  }
+
   /**
    * Private method which Deploys gnosis MultiSig master copy contract.
    *
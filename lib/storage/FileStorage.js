@@ -0,0 +1,165 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+// File system is not available in the web build, where the blocks below are stripped.
+let isFileSystemAvailable = false;
+
+//__NOT_FOR_WEB__BEGIN__
+const fs = require('fs'),
+  path = require('path');
+isFileSystemAvailable = true;
+//__NOT_FOR_WEB__END__
+
+const FileExtension = '.json';
+
+/**
+ * Storage which keeps every value in a separate file of a directory. Directory is created if it
+ * doesn't exist. Keys are URI encoded in file names, so a key can't refer to a file outside the
+ * directory. See MemoryStorage for the storage methods.
+ *
+ * It is not supported in browser, use KeyValueStorage with window.localStorage there.
+ */
+class FileStorage {
+  /**
+   * Constructor of FileStorage.
+   *
+   * @param directory Directory where values are stored.
+   */
+  constructor(directory) {
+    const oThis = this;
+
+    if (!isFileSystemAvailable) {
+      throw new Error('FileStorage is not supported in browser. Use KeyValueStorage with window.localStorage.');
+    }
+
+    oThis.directory = directory;
+  }
+
+  /**
+   * It returns value of a key.
+   *
+   * @param key Key.
+   *
+   * @returns {Promise<String|null>} Value, null if key doesn't exist.
+   */
+  async get(key) {
+    const oThis = this;
+
+    const filePath = oThis._getFilePath(key);
+
+    //__NOT_FOR_WEB__BEGIN__
+    if (fs.existsSync(filePath)) {
+      return fs.readFileSync(filePath, 'utf8');
+    }
+    //__NOT_FOR_WEB__END__
+
+    return null;
+  }
+
+  /**
+   * It sets value of a key. Directory and value are created with permissions of the owner only.
+   *
+   * @param key Key.
+   * @param value Value.
+   *
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const oThis = this;
+
+    //__NOT_FOR_WEB__BEGIN__
+    if (!fs.existsSync(oThis.directory)) {
+      fs.mkdirSync(oThis.directory, { mode: 0o700, recursive: true });
+    }
+    fs.writeFileSync(oThis._getFilePath(key), value, { mode: 0o600 });
+    //__NOT_FOR_WEB__END__
+  }
+
+  /**
+   * It removes a key.
+   *
+   * @param key Key.
+   *
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const oThis = this;
+
+    const filePath = oThis._getFilePath(key);
+
+    //__NOT_FOR_WEB__BEGIN__
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    //__NOT_FOR_WEB__END__
+  }
+
+  /**
+   * It returns all the keys.
+   *
+   * @returns {Promise<Array>} Keys.
+   */
+  async keys() {
+    const oThis = this;
+
+    let keys = [];
+
+    //__NOT_FOR_WEB__BEGIN__
+    if (fs.existsSync(oThis.directory)) {
+      keys = fs
+        .readdirSync(oThis.directory)
+        .filter(function(fileName) {
+          return path.extname(fileName) === FileExtension;
+        })
+        .map(function(fileName) {
+          try {
+            return decodeURIComponent(path.basename(fileName, FileExtension));
+          } catch (error) {
+            // File is not written by the storage.
+            return null;
+          }
+        })
+        .filter(function(key) {
+          return key !== null;
+        });
+    }
+    //__NOT_FOR_WEB__END__
+
+    return keys;
+  }
+
+  /**
+   * It returns path of the file of a key.
+   *
+   * @param key Key.
+   *
+   * @returns {String} File path.
+   * @private
+   */
+  _getFilePath(key) {
+    const oThis = this;
+
+    return path.join(oThis.directory, encodeURIComponent(key) + FileExtension);
+  }
+}
+
+module.exports = FileStorage;
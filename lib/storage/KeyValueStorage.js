@@ -0,0 +1,131 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const DefaultPrefix = 'openst:';
+
+const IndexKey = '__keys__';
+
+/**
+ * Storage backed by a key/value store with getItem, setItem and removeItem methods, e.g. browser
+ * localStorage or React Native AsyncStorage. Methods of the store may be sync or async.
+ *
+ * Keys are prefixed so that the store can be shared with other data. Since key/value stores
+ * can't list keys in a portable way, keys of the storage are kept in an index entry. See
+ * MemoryStorage for the storage methods.
+ */
+class KeyValueStorage {
+  /**
+   * Constructor of KeyValueStorage.
+   *
+   * @param store Key/value store e.g. window.localStorage.
+   * @param prefix Optional prefix of the keys in the store. Defaults to 'openst:'.
+   */
+  constructor(store, prefix) {
+    const oThis = this;
+
+    oThis.store = store;
+    oThis.prefix = prefix || DefaultPrefix;
+  }
+
+  /**
+   * It returns value of a key.
+   *
+   * @param key Key.
+   *
+   * @returns {Promise<String|null>} Value, null if key doesn't exist.
+   */
+  async get(key) {
+    const oThis = this;
+
+    const value = await oThis.store.getItem(oThis.prefix + key);
+
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * It sets value of a key.
+   *
+   * @param key Key.
+   * @param value Value.
+   *
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const oThis = this;
+
+    await oThis.store.setItem(oThis.prefix + key, value);
+
+    const keys = await oThis.keys();
+    if (keys.indexOf(key) === -1) {
+      keys.push(key);
+      await oThis._setKeys(keys);
+    }
+  }
+
+  /**
+   * It removes a key.
+   *
+   * @param key Key.
+   *
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const oThis = this;
+
+    await oThis.store.removeItem(oThis.prefix + key);
+
+    const keys = await oThis.keys();
+    if (keys.indexOf(key) !== -1) {
+      keys.splice(keys.indexOf(key), 1);
+      await oThis._setKeys(keys);
+    }
+  }
+
+  /**
+   * It returns all the keys.
+   *
+   * @returns {Promise<Array>} Keys.
+   */
+  async keys() {
+    const oThis = this;
+
+    const index = await oThis.store.getItem(oThis.prefix + IndexKey);
+
+    return index ? JSON.parse(index) : [];
+  }
+
+  /**
+   * It writes the index of keys.
+   *
+   * @param keys Keys.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setKeys(keys) {
+    const oThis = this;
+
+    await oThis.store.setItem(oThis.prefix + IndexKey, JSON.stringify(keys));
+  }
+}
+
+module.exports = KeyValueStorage;
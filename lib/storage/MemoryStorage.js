@@ -0,0 +1,91 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+/**
+ * Storage which keeps values in memory. Values are lost when the process exits.
+ *
+ * Storages are used by SessionKeyStore. Every storage has async get, set, remove and keys
+ * methods, values are strings.
+ */
+class MemoryStorage {
+  /**
+   * Constructor of MemoryStorage.
+   */
+  constructor() {
+    const oThis = this;
+
+    oThis.values = {};
+  }
+
+  /**
+   * It returns value of a key.
+   *
+   * @param key Key.
+   *
+   * @returns {Promise<String|null>} Value, null if key doesn't exist.
+   */
+  async get(key) {
+    const oThis = this;
+
+    return oThis.values.hasOwnProperty(key) ? oThis.values[key] : null;
+  }
+
+  /**
+   * It sets value of a key.
+   *
+   * @param key Key.
+   * @param value Value.
+   *
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const oThis = this;
+
+    oThis.values[key] = value;
+  }
+
+  /**
+   * It removes a key.
+   *
+   * @param key Key.
+   *
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const oThis = this;
+
+    delete oThis.values[key];
+  }
+
+  /**
+   * It returns all the keys.
+   *
+   * @returns {Promise<Array>} Keys.
+   */
+  async keys() {
+    const oThis = this;
+
+    return Object.keys(oThis.values);
+  }
+}
+
+module.exports = MemoryStorage;
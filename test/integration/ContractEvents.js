@@ -0,0 +1,195 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+const chai = require('chai'),
+  Web3 = require('web3'),
+  ContractEvents = require('../../utils/ContractEvents');
+
+const web3 = new Web3(),
+  assert = chai.assert,
+  contractAddress = '0x' + '12'.repeat(20),
+  receiver = '0x' + '34'.repeat(20),
+  transferAbi = {
+    anonymous: false,
+    inputs: [{ indexed: true, name: '_to', type: 'address' }, { indexed: false, name: '_value', type: 'uint256' }],
+    name: 'Transfer',
+    type: 'event'
+  };
+
+// Raw Transfer log at a position, value identifies the log.
+function createLog(blockNumber, logIndex, value, removed) {
+  return {
+    address: contractAddress,
+    topics: [web3.eth.abi.encodeEventSignature(transferAbi), web3.eth.abi.encodeParameter('address', receiver)],
+    data: web3.eth.abi.encodeParameter('uint256', value),
+    blockNumber: blockNumber,
+    logIndex: logIndex,
+    transactionHash: web3.utils.padLeft(web3.utils.toHex(value), 64),
+    removed: !!removed
+  };
+}
+
+// Web3 stub of a WebSocket provider. Logs of the live subscription are emitted with emit, and past
+// logs are returned when resolvePastLogs is called.
+function createWebSocketWeb3(latestBlock, pastLogs) {
+  const handlers = {},
+    subscription = {
+      unsubscribed: false,
+      on: function(eventName, handler) {
+        handlers[eventName] = handler;
+        return subscription;
+      },
+      unsubscribe: function() {
+        subscription.unsubscribed = true;
+      }
+    };
+
+  let resolvePastLogs;
+  const pastLogsPromise = new Promise(function(resolve) {
+    resolvePastLogs = function() {
+      resolve(pastLogs);
+      return new Promise(function(done) {
+        setTimeout(done, 10);
+      });
+    };
+  });
+
+  return {
+    subscription: subscription,
+    resolvePastLogs: resolvePastLogs,
+    emit: function(eventName, payload) {
+      if (!subscription.unsubscribed) {
+        handlers[eventName](payload);
+      }
+    },
+    web3: {
+      currentProvider: { on: function() {} },
+      utils: web3.utils,
+      eth: {
+        abi: web3.eth.abi,
+        subscribe: function(type, options) {
+          subscription.type = type;
+          subscription.options = options;
+          return subscription;
+        },
+        getBlockNumber: function() {
+          return Promise.resolve(latestBlock);
+        },
+        getPastLogs: function(options) {
+          subscription.pastLogsOptions = options;
+          return pastLogsPromise;
+        }
+      }
+    }
+  };
+}
+
+describe('Contract event subscriptions over WebSocket', async function() {
+  it('Delivers events since the cursor, then live events without duplicates', async function() {
+    const stub = createWebSocketWeb3(6, [
+        createLog(5, 0, 1),
+        createLog(5, 1, 2),
+        createLog(5, 2, 3),
+        createLog(6, 0, 4)
+      ]),
+      contractEvents = new ContractEvents(stub.web3, [transferAbi], contractAddress),
+      events = [],
+      errors = [];
+
+    const subscription = contractEvents.subscribe(
+      'Transfer',
+      function(error, event) {
+        if (error) {
+          errors.push(error);
+        } else {
+          events.push(event);
+        }
+      },
+      { nextBlock: 5, lastLogIndex: 1 }
+    );
+
+    assert.strictEqual(stub.subscription.type, 'logs', 'Logs should be subscribed.');
+    assert.strictEqual(stub.subscription.options.address, contractAddress, 'Incorrect subscribed address.');
+    assert.deepEqual(
+      stub.subscription.options.topics,
+      [web3.eth.abi.encodeEventSignature(transferAbi)],
+      'Incorrect subscribed topics.'
+    );
+
+    // Live logs received during catch up are buffered, including one which is also a past log.
+    stub.emit('data', createLog(7, 0, 6));
+    stub.emit('data', createLog(6, 0, 4));
+    assert.deepEqual(events, [], 'Live events should wait for the catch up.');
+
+    await stub.resolvePastLogs();
+    assert.strictEqual(stub.subscription.pastLogsOptions.fromBlock, 5, 'Past logs should be read from the cursor.');
+    assert.strictEqual(stub.subscription.pastLogsOptions.toBlock, 6, 'Past logs should be read up to latest block.');
+
+    // Live logs after catch up are delivered immediately. Duplicates and removed logs are skipped.
+    stub.emit('data', createLog(7, 0, 6));
+    stub.emit('data', createLog(8, 0, 7, true));
+    stub.emit('data', createLog(8, 1, 8));
+
+    assert.deepEqual(
+      events.map(function(event) {
+        return [event.blockNumber, event.logIndex, event.returnValues._value.toString()];
+      }),
+      [[5, 2, '3'], [6, 0, '4'], [7, 0, '6'], [8, 1, '8']],
+      'Events should be delivered once in order.'
+    );
+    assert.strictEqual(events[0].event, 'Transfer', 'Incorrect event name.');
+    assert.strictEqual(events[0].returnValues._to, web3.utils.toChecksumAddress(receiver), 'Incorrect receiver.');
+    assert.deepEqual(subscription.cursor, { nextBlock: 8, lastLogIndex: 1 }, 'Cursor should point to last event.');
+
+    const subscriptionError = new Error('Connection closed.');
+    stub.emit('error', subscriptionError);
+    assert.deepEqual(errors, [subscriptionError], 'Subscription errors should be passed to the callback.');
+
+    subscription.unsubscribe();
+    assert.strictEqual(stub.subscription.unsubscribed, true, 'Log subscription should be unsubscribed.');
+    assert.strictEqual(events.length, 4, 'No event should be delivered after unsubscribe.');
+  });
+
+  it('Delivers live events from the latest block without a cursor', async function() {
+    const stub = createWebSocketWeb3(10, [createLog(9, 0, 1), createLog(10, 0, 2)]),
+      contractEvents = new ContractEvents(stub.web3, [transferAbi], contractAddress),
+      events = [];
+
+    const subscription = contractEvents.subscribe('Transfer', function(error, event) {
+      events.push(event);
+    });
+
+    stub.emit('data', createLog(11, 3, 3));
+    await stub.resolvePastLogs();
+    stub.emit('data', createLog(10, 0, 2));
+
+    assert.strictEqual(stub.subscription.pastLogsOptions.fromBlock, 10, 'Past logs should start at latest block.');
+    assert.deepEqual(
+      events.map(function(event) {
+        return event.transactionHash;
+      }),
+      [createLog(10, 0, 2).transactionHash, createLog(11, 3, 3).transactionHash],
+      'Events of the latest block and live events should be delivered once.'
+    );
+    assert.deepEqual(subscription.cursor, { nextBlock: 11, lastLogIndex: 3 }, 'Cursor should point to last event.');
+
+    subscription.unsubscribe();
+  });
+});
@@ -33,7 +33,10 @@ const TokenRulesSetup = Package.Setup.TokenRules,
   User = Package.Helpers.User,
   TokenRules = Package.Helpers.TokenRules,
   AbiBinProvider = Package.AbiBinProvider,
-  TokenHolder = Package.Helpers.TokenHolder;
+  TokenHolder = Package.Helpers.TokenHolder,
+  SessionKeyNonceTracker = Package.Helpers.SessionKeyNonceTracker,
+  ExecuteRulePreflight = Package.Helpers.ExecuteRulePreflight,
+  TransactionExplainer = Package.Helpers.TransactionExplainer;
 
 const auxiliaryWeb3 = new Web3(config.gethRpcEndPoint),
   ContractsInstance = new Contracts(auxiliaryWeb3),
@@ -65,6 +68,7 @@ let wallets,
   tokenHolderFirstReceiver,
   tokenHolderSecondReceiver,
   gnosisSafeProxy,
+  companyWalletReceipt,
   ephemeralKey,
   mockTokenDeployerInstance,
   tokenRulesObject;
@@ -223,6 +227,8 @@ describe('Direct transfers between TH contracts', async function() {
       threshold = 1,
       sessionKeys = [ephemeralKey.address];
 
+    const predictedAddresses = await userInstance.predictUserWalletAddresses();
+
     const response = await userInstance.createUserWallet(
       owners,
       threshold,
@@ -242,6 +248,9 @@ describe('Direct transfers between TH contracts', async function() {
 
     gnosisSafeProxy = userWalletEvent._gnosisSafeProxy;
     tokenHolderSender = userWalletEvent._tokenHolderProxy;
+
+    assert.strictEqual(gnosisSafeProxy, predictedAddresses.gnosisSafeProxy, 'Incorrect predicted gnosis safe proxy.');
+    assert.strictEqual(tokenHolderSender, predictedAddresses.tokenHolderProxy, 'Incorrect predicted TH proxy.');
   });
 
   it('Should create second user wallet', async function() {
@@ -292,6 +301,8 @@ describe('Direct transfers between TH contracts', async function() {
 
     const sessionKeys = [wallets[5].address];
 
+    const predictedAddress = await userInstance.predictCompanyWalletAddress(proxyFactoryAddress);
+
     const response = await userInstance.createCompanyWallet(
       proxyFactoryAddress,
       thMasterCopyAddress,
@@ -302,6 +313,7 @@ describe('Direct transfers between TH contracts', async function() {
     );
 
     assert.strictEqual(response.status, true, 'Company wallet creation failed.');
+    companyWalletReceipt = response;
 
     // Fetching the company tokenholder proxy address for the user.
     const returnValues = response.events.ProxyCreated.returnValues;
@@ -309,6 +321,7 @@ describe('Direct transfers between TH contracts', async function() {
 
     tokenHolderSecondReceiver = proxyEvent._proxy;
     assert.isNotNull(tokenHolderSecondReceiver, 'Company TH contract address should not be null.');
+    assert.strictEqual(tokenHolderSecondReceiver, predictedAddress, 'Incorrect predicted company TH proxy.');
   });
 
   it('Performs direct transfer of tokens', async function() {
@@ -371,4 +384,380 @@ describe('Direct transfers between TH contracts', async function() {
       `Second receiver account token balance is ${secondReceiverFinalBalance} and expected balance is ${secondReceiverExpectedBalance}`
     );
   });
+
+  it('Loads company wallet from its creation receipt', async function() {
+    const userInstance = new User(
+        null,
+        thMasterCopyAddress,
+        mockToken,
+        tokenRulesAddress,
+        userWalletFactoryAddress,
+        auxiliaryWeb3
+      ),
+      mockTokenAbi = mockTokenDeployerInstance.abiBinProvider.getABI('MockToken'),
+      contract = new auxiliaryWeb3.eth.Contract(mockTokenAbi, mockToken, txOptions);
+
+    const companyWallet = userInstance.getCompanyWallet(companyWalletReceipt);
+
+    assert.strictEqual(companyWallet.tokenHolderProxy, tokenHolderSecondReceiver, 'Incorrect company TH proxy.');
+    assert.strictEqual(companyWallet.gnosisSafeProxy, null, 'Company wallet should not have gnosis safe.');
+    assert.deepEqual(await companyWallet.getOwners(), [thMasterCopyAddress], 'Incorrect owners.');
+    assert.strictEqual(await companyWallet.getThreshold(), '1', 'Incorrect threshold.');
+    assert.strictEqual(
+      await companyWallet.getTokenBalance(),
+      await contract.methods.balanceOf(tokenHolderSecondReceiver).call(),
+      'Incorrect token balance.'
+    );
+    assert.notStrictEqual(await companyWallet.getTokenBalance(), '0', 'Company wallet should have received tokens.');
+
+    const sessions = await companyWallet.getSessions([wallets[5].address]),
+      session = sessions[wallets[5].address];
+    assert.strictEqual(session.spendingLimit, config.sessionKeySpendingLimit.toString(), 'Incorrect spending limit.');
+    assert.strictEqual(session.status, '1', 'Session key should be authorized.');
+  });
+
+  it('Performs direct transfer of tokens with session key', async function() {
+    const tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderSender),
+      mockTokenAbi = mockTokenDeployerInstance.abiBinProvider.getABI('MockToken'),
+      contract = new auxiliaryWeb3.eth.Contract(mockTokenAbi, mockToken, txOptions),
+      transferAmount = 5;
+
+    const initialTHProxyBalance = await contract.methods.balanceOf(tokenHolderSender).call(),
+      receiverInitialBalance = await contract.methods.balanceOf(tokenHolderFirstReceiver).call(),
+      nonceBefore = (await tokenHolder.getSessionKeyData(ephemeralKey.address)).nonce;
+
+    const directTransferExecutable = tokenRulesObject.getDirectTransferExecutableData(
+      [tokenHolderFirstReceiver],
+      [transferAmount]
+    );
+
+    // Nonce is read from the contract.
+    await tokenHolder.executeRuleWithSessionKey(ephemeralKey, tokenRulesAddress, directTransferExecutable, txOptions);
+
+    const finalTHProxyBalance = await contract.methods.balanceOf(tokenHolderSender).call(),
+      receiverFinalBalance = await contract.methods.balanceOf(tokenHolderFirstReceiver).call(),
+      nonceAfter = (await tokenHolder.getSessionKeyData(ephemeralKey.address)).nonce;
+
+    assert.strictEqual(
+      parseInt(finalTHProxyBalance),
+      initialTHProxyBalance - transferAmount,
+      'Incorrect sender balance.'
+    );
+    assert.strictEqual(
+      parseInt(receiverFinalBalance),
+      parseInt(receiverInitialBalance) + transferAmount,
+      'Incorrect receiver balance.'
+    );
+    assert.strictEqual(parseInt(nonceAfter), parseInt(nonceBefore) + 1, 'Session key nonce should be incremented.');
+  });
+
+  it('Signs redemption with session key', async function() {
+    const tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderSender),
+      // CoGateway is not deployed in this economy, so only encoding and signing are verified.
+      coGateway = wallets[6].address,
+      hashLock = auxiliaryWeb3.utils.sha3('secret'),
+      redeemParams = ['10', beneficiary, '1', '100000', '1', hashLock];
+
+    const redeemData = tokenHolder.getCoGatewayRedeemExecutableData.apply(tokenHolder, redeemParams);
+    assert.strictEqual(
+      redeemData.substring(0, 10),
+      auxiliaryWeb3.eth.abi.encodeFunctionSignature('redeem(uint256,address,uint256,uint256,uint256,bytes32)'),
+      'Incorrect redeem method selector.'
+    );
+    const decodedParams = auxiliaryWeb3.eth.abi.decodeParameters(
+      ['uint256', 'address', 'uint256', 'uint256', 'uint256', 'bytes32'],
+      '0x' + redeemData.substring(10)
+    );
+    assert.deepEqual(
+      [0, 1, 2, 3, 4, 5].map(function(index) {
+        return decodedParams[index];
+      }),
+      redeemParams,
+      'Incorrect redeem params.'
+    );
+
+    const callPrefix = await tokenHolder.getTokenHolderExecuteRedemptionCallPrefix();
+    assert.strictEqual(
+      callPrefix,
+      auxiliaryWeb3.utils
+        .soliditySha3('executeRedemption(address,bytes,uint256,uint8,bytes32,bytes32)')
+        .substring(0, 10),
+      'Incorrect executeRedemption call prefix.'
+    );
+
+    const sessionKeyData = await tokenHolder.getSessionKeyData(ephemeralKey.address),
+      signedTransaction = await tokenHolder.signExecuteRedemption(ephemeralKey, coGateway, redeemData);
+
+    assert.strictEqual(signedTransaction.nonce, sessionKeyData.nonce, 'Nonce should be read from the contract.');
+    assert.strictEqual(
+      signedTransaction.messageHash,
+      auxiliaryWeb3.utils.toEIP1077TransactionHash({
+        from: tokenHolderSender,
+        to: coGateway,
+        data: redeemData,
+        nonce: signedTransaction.nonce,
+        callPrefix: callPrefix
+      }),
+      'Incorrect EIP-1077 transaction hash.'
+    );
+    assert.strictEqual(
+      auxiliaryWeb3.eth.accounts.recover({
+        messageHash: signedTransaction.messageHash,
+        v: signedTransaction.v,
+        r: signedTransaction.r,
+        s: signedTransaction.s
+      }),
+      ephemeralKey.address,
+      'Session key should be recovered from the signature.'
+    );
+  });
+
+  it('Performs pipelined direct transfers with session key', async function() {
+    const tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderSender),
+      nonceTracker = new SessionKeyNonceTracker(auxiliaryWeb3),
+      transferAmounts = [1, 2];
+
+    const nonceBefore = parseInt((await tokenHolder.getSessionKeyData(ephemeralKey.address)).nonce),
+      accountNonce = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress);
+
+    // Executions are sent without waiting for each other.
+    await Promise.all(
+      transferAmounts.map(function(amount, index) {
+        const directTransferExecutable = tokenRulesObject.getDirectTransferExecutableData(
+          [tokenHolderFirstReceiver],
+          [amount]
+        );
+        return nonceTracker.executeRule(
+          tokenHolderSender,
+          ephemeralKey,
+          tokenRulesAddress,
+          directTransferExecutable,
+          Object.assign({}, txOptions, { nonce: accountNonce + index })
+        );
+      })
+    );
+
+    const nonceAfter = parseInt((await tokenHolder.getSessionKeyData(ephemeralKey.address)).nonce);
+
+    assert.strictEqual(nonceAfter, nonceBefore + transferAmounts.length, 'Every execution should use a new nonce.');
+    assert.deepEqual(await nonceTracker.getPending(tokenHolderSender, ephemeralKey.address), [], 'No pending.');
+
+    // Unused nonces are handed back after reconciliation.
+    await nonceTracker.getNextNonce(tokenHolderSender, ephemeralKey.address);
+    await nonceTracker.reconcile(tokenHolderSender, ephemeralKey.address);
+    assert.strictEqual(
+      await nonceTracker.getNextNonce(tokenHolderSender, ephemeralKey.address),
+      nonceAfter,
+      'Next nonce should be the contract nonce.'
+    );
+  });
+
+  it('Keeps in-flight nonces when a pipelined execution fails', async function() {
+    const tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderSender),
+      nonceTracker = new SessionKeyNonceTracker(auxiliaryWeb3),
+      directTransferExecutable = tokenRulesObject.getDirectTransferExecutableData([tokenHolderFirstReceiver], [1]);
+
+    const nonceBefore = parseInt((await tokenHolder.getSessionKeyData(ephemeralKey.address)).nonce),
+      accountNonce = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress);
+
+    // Second execution is rejected by the node for too low gas, while the first one is in flight.
+    const firstExecution = nonceTracker.executeRule(
+        tokenHolderSender,
+        ephemeralKey,
+        tokenRulesAddress,
+        directTransferExecutable,
+        Object.assign({}, txOptions, { nonce: accountNonce })
+      ),
+      secondExecution = nonceTracker.executeRule(
+        tokenHolderSender,
+        ephemeralKey,
+        tokenRulesAddress,
+        directTransferExecutable,
+        Object.assign({}, txOptions, { nonce: accountNonce + 1, gas: 21000 })
+      );
+
+    let failure = null;
+    try {
+      await secondExecution;
+    } catch (error) {
+      failure = error;
+    }
+
+    assert.isNotNull(failure, 'Second execution should fail.');
+    assert.deepEqual(
+      failure.discardedTransactions.map(function(signedTransaction) {
+        return Number(signedTransaction.nonce);
+      }),
+      [nonceBefore + 1],
+      'Only the failed execution should be discarded.'
+    );
+    assert.strictEqual(
+      await nonceTracker.getNextNonce(tokenHolderSender, ephemeralKey.address),
+      nonceBefore + 1,
+      'Failed nonce should be handed out again, not the nonce of the in-flight execution.'
+    );
+
+    const receipt = await firstExecution;
+    assert.strictEqual(receipt.status, true, 'First execution should succeed.');
+
+    const nonceAfter = parseInt((await tokenHolder.getSessionKeyData(ephemeralKey.address)).nonce);
+    assert.strictEqual(nonceAfter, nonceBefore + 1, 'Only the first execution should be mined.');
+  });
+
+  it('Diagnoses direct transfer with session key before submitting', async function() {
+    const tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderSender),
+      preflight = new ExecuteRulePreflight(auxiliaryWeb3, tokenHolderSender),
+      directTransferExecutable = tokenRulesObject.getDirectTransferExecutableData([tokenHolderFirstReceiver], [1]);
+
+    const signedTransaction = await tokenHolder.signExecuteRule(
+      ephemeralKey,
+      tokenRulesAddress,
+      directTransferExecutable
+    );
+
+    const diagnosis = await preflight.diagnose(ephemeralKey.address, signedTransaction, txOptions);
+    assert.strictEqual(diagnosis.ok, true, 'Signed direct transfer should pass the pre-flight check.');
+    assert.strictEqual(diagnosis.simulation.executionStatus, true, 'Simulated execution should succeed.');
+
+    const staleTransaction = await tokenHolder.signExecuteRule(
+        ephemeralKey,
+        tokenRulesAddress,
+        directTransferExecutable,
+        parseInt(signedTransaction.nonce) + 1
+      ),
+      staleDiagnosis = await preflight.diagnose(ephemeralKey.address, staleTransaction, txOptions),
+      issueCodes = staleDiagnosis.issues.map(function(issue) {
+        return issue.code;
+      });
+
+    assert.strictEqual(staleDiagnosis.ok, false, 'Transaction with wrong nonce should fail the pre-flight check.');
+    assert.include(issueCodes, ExecuteRulePreflight.IssueCode.invalidNonce, 'Wrong nonce should be diagnosed.');
+  });
+
+  it('Disables and enables direct transfers', async function() {
+    // Only worker can enable or disable direct transfers.
+    const workerTxOptions = {
+      from: worker,
+      gasPrice: config.gasPrice,
+      gas: config.gas
+    };
+
+    const statusBefore = await tokenRulesObject.getDirectTransferStatus(tokenHolderSender);
+    assert.strictEqual(statusBefore.canTransferDirectly, true, 'Token holder should transfer directly.');
+    assert.strictEqual(statusBefore.transfersAllowed, false, 'Transfers should be allowed only during execution.');
+
+    // Worker key signs the transaction, it is broadcast separately.
+    const signedTransaction = await tokenRulesObject.signDisableDirectTransfers(wallets[1], workerTxOptions);
+    await auxiliaryWeb3.eth.sendSignedTransaction(signedTransaction.rawTransaction);
+
+    const statusAfterDisable = await tokenRulesObject.getDirectTransferStatus(tokenHolderSender);
+    assert.strictEqual(statusAfterDisable.directTransfersEnabled, false, 'Direct transfers should be disabled.');
+    assert.strictEqual(statusAfterDisable.canTransferDirectly, false, 'Token holder should not transfer directly.');
+
+    await tokenRulesObject.enableDirectTransfers(workerTxOptions);
+    assert.strictEqual(await tokenRulesObject.areDirectTransfersEnabled(), true, 'Direct transfers should be enabled.');
+  });
+
+  it('Explains direct transfer before signing with session key', async function() {
+    const explainer = new TransactionExplainer(auxiliaryWeb3, tokenRulesAddress),
+      directTransferExecutable = tokenRulesObject.getDirectTransferExecutableData([tokenHolderFirstReceiver], [3]);
+
+    const explanation = await explainer.explainExecuteRule(tokenHolderSender, {
+      to: tokenRulesAddress,
+      data: directTransferExecutable,
+      nonce: 0
+    });
+
+    assert.strictEqual(explanation.call.contractName, 'TokenRules', 'Target should be resolved to TokenRules.');
+    assert.strictEqual(explanation.call.method, 'directTransfers', 'Incorrect method.');
+    assert.strictEqual(
+      explanation.description,
+      'Token holder ' + tokenHolderSender + ' executes: Transfer 3 to ' + tokenHolderFirstReceiver,
+      'Incorrect description.'
+    );
+  });
+
+  it('Explains nested safe and token holder calls', async function() {
+    const tokenHolder = new TokenHolder(auxiliaryWeb3, tokenHolderFirstReceiver),
+      tokenHolderContract = new auxiliaryWeb3.eth.Contract(abiBinProvider.getABI('TokenHolder')),
+      gnosisSafeContract = new auxiliaryWeb3.eth.Contract(abiBinProvider.getABI('GnosisSafe')),
+      directTransferExecutable = tokenRulesObject.getDirectTransferExecutableData([tokenHolderSender], [2]),
+      sessionKey = auxiliaryWeb3.eth.accounts.create().address;
+
+    // executeRule of the token holder unwraps to the rule call.
+    const signedExecution = await tokenHolder.signExecuteRule(
+        ephemeralKey,
+        tokenRulesAddress,
+        directTransferExecutable,
+        0
+      ),
+      executeRuleData = tokenHolderContract.methods
+        .executeRule(
+          tokenRulesAddress,
+          directTransferExecutable,
+          0,
+          signedExecution.r,
+          signedExecution.s,
+          signedExecution.v
+        )
+        .encodeABI();
+
+    const knownExplainer = new TransactionExplainer(auxiliaryWeb3, tokenRulesAddress, {
+        [tokenHolderFirstReceiver]: 'TokenHolder',
+        [gnosisSafeProxy]: 'GnosisSafe'
+      }),
+      executeRuleExplanation = await knownExplainer.explain(tokenHolderFirstReceiver, executeRuleData);
+
+    assert.strictEqual(executeRuleExplanation.method, 'executeRule', 'Incorrect method.');
+    assert.strictEqual(executeRuleExplanation.verified, true, 'Known token holder should be verified.');
+    assert.strictEqual(executeRuleExplanation.calls.length, 1, 'Rule call should be unwrapped.');
+    assert.strictEqual(executeRuleExplanation.calls[0].contractName, 'TokenRules', 'Incorrect rule contract.');
+    assert.strictEqual(executeRuleExplanation.calls[0].method, 'directTransfers', 'Incorrect rule method.');
+    assert.strictEqual(executeRuleExplanation.calls[0].verified, true, 'Token rules should be verified.');
+    assert.include(executeRuleExplanation.description, 'Transfer 2 to ' + tokenHolderSender, 'Incorrect description.');
+
+    // Safe transaction to the token holder unwraps to authorizeSession.
+    const authorizeSessionData = tokenHolder.getAuthorizeSessionExecutableData(
+        sessionKey,
+        config.sessionKeySpendingLimit,
+        config.sessionKeyExpirationHeight
+      ),
+      execTransactionData = gnosisSafeContract.methods
+        .execTransaction(
+          tokenHolderFirstReceiver,
+          0,
+          authorizeSessionData,
+          0,
+          0,
+          0,
+          0,
+          config.NULL_ADDRESS,
+          config.NULL_ADDRESS,
+          config.ZERO_BYTES
+        )
+        .encodeABI(),
+      safeExplanation = await knownExplainer.explain(gnosisSafeProxy, execTransactionData);
+
+    assert.strictEqual(safeExplanation.contractName, 'GnosisSafe', 'Incorrect safe contract.');
+    assert.strictEqual(safeExplanation.method, 'execTransaction', 'Incorrect safe method.');
+    assert.strictEqual(safeExplanation.calls[0].contractName, 'TokenHolder', 'Incorrect nested contract.');
+    assert.strictEqual(safeExplanation.calls[0].method, 'authorizeSession', 'Incorrect nested method.');
+    assert.strictEqual(safeExplanation.calls[0].verified, true, 'Known token holder should be verified.');
+    assert.include(safeExplanation.description, sessionKey, 'Description should show the session key.');
+
+    // Bundled matches on unknown targets are unverified.
+    const unknownExplanation = await new TransactionExplainer(auxiliaryWeb3).explain(
+      gnosisSafeProxy,
+      execTransactionData
+    );
+    assert.strictEqual(unknownExplanation.method, 'execTransaction', 'Incorrect method.');
+    assert.strictEqual(unknownExplanation.verified, false, 'Unknown safe should not be verified.');
+    assert.strictEqual(unknownExplanation.calls[0].verified, false, 'Unknown token holder should not be verified.');
+
+    // Truncated data is explained as an unknown call.
+    const truncatedExplanation = await knownExplainer.explain(tokenHolderFirstReceiver, executeRuleData.slice(0, 74));
+    assert.strictEqual(truncatedExplanation.method, null, 'Truncated call should not be resolved.');
+    assert.strictEqual(truncatedExplanation.verified, false, 'Truncated call should not be verified.');
+    assert.match(truncatedExplanation.description, /^Unknown call to /, 'Incorrect description.');
+  });
 });
@@ -0,0 +1,536 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+const chai = require('chai'),
+  Web3 = require('web3'),
+  Package = require('../../index'),
+  Mosaic = require('@openstfoundation/mosaic-tbd');
+
+const EconomySetup = Package.Setup.Economy,
+  RulesSetup = Package.Setup.Rules,
+  DeploymentManifest = Package.Setup.DeploymentManifest,
+  MockContractsDeployer = require('./../utils/MockContractsDeployer'),
+  config = require('../utils/configReader'),
+  Web3WalletHelper = require('../utils/Web3WalletHelper'),
+  Contracts = Package.Contracts,
+  TokenRules = Package.Helpers.TokenRules,
+  RuleRegistry = Package.Helpers.RuleRegistry,
+  TransactionExplainer = Package.Helpers.TransactionExplainer,
+  ValidationError = Package.Errors.ValidationError,
+  AbiBinProvider = Package.AbiBinProvider;
+
+const auxiliaryWeb3 = new Web3(config.gethRpcEndPoint),
+  ContractsInstance = new Contracts(auxiliaryWeb3),
+  web3WalletHelper = new Web3WalletHelper(auxiliaryWeb3),
+  assert = chai.assert,
+  OrganizationHelper = Mosaic.ChainSetup.OrganizationHelper,
+  abiBinProvider = new AbiBinProvider();
+
+let txOptions = {
+  from: config.deployerAddress,
+  gasPrice: config.gasPrice,
+  gas: config.gas
+};
+
+let wallets,
+  worker,
+  workerTxOptions,
+  organization,
+  mockToken,
+  owner = config.deployerAddress,
+  customRuleAddress,
+  economyAddresses;
+
+describe('Economy setup', async function() {
+  before(async function() {
+    await web3WalletHelper.init(auxiliaryWeb3);
+    wallets = web3WalletHelper.web3Object.eth.accounts.wallet;
+    worker = wallets[1].address;
+    workerTxOptions = {
+      from: worker,
+      gasPrice: config.gasPrice,
+      gas: config.gas
+    };
+  });
+
+  it('Deploys Organization contract', async function() {
+    let orgHelper = new OrganizationHelper(auxiliaryWeb3, null);
+    const orgConfig = {
+      deployer: config.deployerAddress,
+      owner: owner,
+      workers: worker,
+      workerExpirationHeight: '20000000'
+    };
+
+    await orgHelper.setup(orgConfig);
+    organization = orgHelper.address;
+
+    assert.isNotNull(organization, 'Organization contract address should not be null.');
+  });
+
+  it('Deploys EIP20Token contract', async function() {
+    const mockTokenDeployerInstance = new MockContractsDeployer(config.deployerAddress, auxiliaryWeb3);
+
+    await mockTokenDeployerInstance.deployMockToken();
+
+    mockToken = mockTokenDeployerInstance.addresses.MockToken;
+    assert.isNotNull(mockToken, 'EIP20Token contract address should not be null.');
+  });
+
+  it('Estimates cost of economy setup', async function() {
+    const economySetup = new EconomySetup(auxiliaryWeb3),
+      pricerRuleConfig = {
+        baseCurrencyCode: config.baseCurrencyCode,
+        conversionRate: config.conversionRate,
+        conversionRateDecimals: config.conversionRateDecimals,
+        requiredPriceOracleDecimals: config.requiredPriceOracleDecimals
+      };
+
+    const nonceBefore = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress),
+      costReport = await economySetup.estimate(organization, mockToken, pricerRuleConfig, txOptions, workerTxOptions),
+      nonceAfter = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress);
+
+    assert.strictEqual(nonceAfter, nonceBefore, 'Dry run should not broadcast any transaction.');
+    assert.strictEqual(costReport.steps.length, 7, 'Incorrect number of steps.');
+    assert.strictEqual(costReport.complete, false, 'Rule registration cannot be estimated before deployment.');
+    assert.isAbove(parseInt(costReport.totalGas), 0, 'Total gas should be greater than 0.');
+    assert.strictEqual(
+      costReport.totalCost,
+      auxiliaryWeb3.utils
+        .toBN(costReport.totalGas)
+        .mul(auxiliaryWeb3.utils.toBN(config.gasPrice))
+        .toString(10),
+      'Incorrect total cost.'
+    );
+  });
+
+  it('Deploys and configures all economy contracts', async function() {
+    const economySetup = new EconomySetup(auxiliaryWeb3),
+      pricerRuleConfig = {
+        baseCurrencyCode: config.baseCurrencyCode,
+        conversionRate: config.conversionRate,
+        conversionRateDecimals: config.conversionRateDecimals,
+        requiredPriceOracleDecimals: config.requiredPriceOracleDecimals
+      };
+
+    economyAddresses = await economySetup.deploy(organization, mockToken, pricerRuleConfig, txOptions, workerTxOptions);
+
+    assert.isNotNull(economyAddresses.tokenRules, 'TokenRules contract address should not be null.');
+    assert.isNotNull(economyAddresses.gnosisSafeMasterCopy, 'Gnosis safe master copy address should not be null.');
+    assert.isNotNull(economyAddresses.tokenHolderMasterCopy, 'TH master copy contract address should not be null.');
+    assert.isNotNull(economyAddresses.userWalletFactory, 'UserWalletFactory contract address should not be null.');
+    assert.isNotNull(economyAddresses.proxyFactory, 'Proxy contract address should not be null.');
+    assert.isNotNull(economyAddresses.pricerRule, 'PricerRule contract address should not be null.');
+
+    const pricerRuleInstance = ContractsInstance.PricerRule(economyAddresses.pricerRule, txOptions);
+    assert.strictEqual(
+      await pricerRuleInstance.methods.tokenRules().call(),
+      economyAddresses.tokenRules,
+      'TokenRules address is incorrect!'
+    );
+  });
+
+  it('Registers PricerRule in TokenRules', async function() {
+    const tokenRulesObject = new TokenRules(economyAddresses.tokenRules, auxiliaryWeb3),
+      ruleByNameData = await tokenRulesObject.getRuleByName('PricerRule');
+
+    assert.strictEqual(ruleByNameData.ruleName, 'PricerRule', 'Incorrect rule name was registered');
+    assert.strictEqual(ruleByNameData.ruleAddress, economyAddresses.pricerRule, 'Incorrect rule address');
+  });
+
+  it('Deploys and registers a custom rule', async function() {
+    const rulesSetup = new RulesSetup(auxiliaryWeb3, organization, mockToken, economyAddresses.tokenRules),
+      customRuleName = 'CustomPricerRule',
+      args = [
+        organization,
+        mockToken,
+        auxiliaryWeb3.utils.stringToHex(config.baseCurrencyCode),
+        config.conversionRate,
+        config.conversionRateDecimals,
+        config.requiredPriceOracleDecimals,
+        economyAddresses.tokenRules
+      ];
+
+    const response = await rulesSetup.deployAndRegisterRule(
+      'PricerRule',
+      args,
+      customRuleName,
+      txOptions,
+      workerTxOptions
+    );
+    customRuleAddress = response.receipt.contractAddress;
+
+    assert.strictEqual(response.receipt.status, true);
+    assert.strictEqual(response.registrationReceipt.status, true);
+
+    const tokenRulesObject = new TokenRules(economyAddresses.tokenRules, auxiliaryWeb3),
+      ruleByNameData = await tokenRulesObject.getRuleByName(customRuleName);
+
+    assert.strictEqual(ruleByNameData.ruleAddress, customRuleAddress, 'Incorrect rule address');
+    assert.deepEqual(JSON.parse(ruleByNameData.ruleAbi), abiBinProvider.getABI('PricerRule'), 'Incorrect rule abi');
+  });
+
+  it('Lists registered rules and diffs them against expected rules', async function() {
+    const tokenRulesObject = new TokenRules(economyAddresses.tokenRules, auxiliaryWeb3),
+      listing = await tokenRulesObject.listRules();
+
+    assert.deepEqual(
+      listing.rules.map(function(rule) {
+        return rule.ruleName;
+      }),
+      ['PricerRule', 'CustomPricerRule'],
+      'Incorrect registered rules.'
+    );
+    assert.strictEqual(listing.rules[1].ruleAddress, customRuleAddress, 'Incorrect rule address.');
+    assert.deepEqual(listing.rules[1].ruleAbi, abiBinProvider.getABI('PricerRule'), 'Incorrect rule abi.');
+    assert.isAbove(listing.rules[1].blockNumber, 0, 'Registration block should be known.');
+    assert.deepEqual(listing.discrepancies, [], 'Events and storage should match.');
+
+    const diff = await tokenRulesObject.diffRules([
+      {
+        ruleName: 'PricerRule',
+        ruleAddress: economyAddresses.pricerRule,
+        ruleAbi: abiBinProvider.getABI('PricerRule')
+      }
+    ]);
+
+    assert.strictEqual(diff.ok, false, 'Diff should report the unexpected rule.');
+    assert.deepEqual(diff.missing, [], 'No rule should be missing.');
+    assert.deepEqual(diff.mismatched, [], 'No rule should be mismatched.');
+    assert.strictEqual(diff.unexpected.length, 1, 'Custom rule should be unexpected.');
+    assert.strictEqual(diff.unexpected[0].ruleName, 'CustomPricerRule', 'Incorrect unexpected rule.');
+  });
+
+  it('Builds executable data of a rule from its registered ABI', async function() {
+    const tokenRulesObject = new TokenRules(economyAddresses.tokenRules, auxiliaryWeb3),
+      pricerRuleContract = new auxiliaryWeb3.eth.Contract(abiBinProvider.getABI('PricerRule'), customRuleAddress),
+      payCurrencyCode = auxiliaryWeb3.utils.stringToHex('OST');
+
+    const executable = await tokenRulesObject.getRuleExecutableData('CustomPricerRule', 'setAcceptanceMargin', {
+      _payCurrencyCode: payCurrencyCode,
+      _acceptanceMargin: '100'
+    });
+
+    assert.strictEqual(executable.to, customRuleAddress, 'Incorrect rule address.');
+    assert.strictEqual(
+      executable.data,
+      pricerRuleContract.methods.setAcceptanceMargin(payCurrencyCode, '100').encodeABI(),
+      'Incorrect executable data.'
+    );
+
+    try {
+      await tokenRulesObject.getRuleExecutableData('CustomPricerRule', 'setAcceptanceMargin', [payCurrencyCode, -1]);
+      assert.fail('Negative uint256 argument should be rejected.');
+    } catch (error) {
+      assert.strictEqual(error.code, ValidationError.Codes.invalidArgument, 'Incorrect error code.');
+      assert.strictEqual(error.field, 'args[1]', 'Incorrect invalid field.');
+    }
+  });
+
+  it('Explains calls of rules registered in token rules', async function() {
+    const tokenHolderProxy = wallets[4].address,
+      explainer = new TransactionExplainer(auxiliaryWeb3, economyAddresses.tokenRules, {
+        [tokenHolderProxy]: 'TokenHolder'
+      }),
+      pricerRuleContract = new auxiliaryWeb3.eth.Contract(abiBinProvider.getABI('PricerRule')),
+      tokenHolderContract = new auxiliaryWeb3.eth.Contract(abiBinProvider.getABI('TokenHolder')),
+      payCurrencyCode = auxiliaryWeb3.utils.stringToHex('OST'),
+      ruleData = pricerRuleContract.methods.setAcceptanceMargin(payCurrencyCode, '100').encodeABI();
+
+    const ruleExplanation = await explainer.explain(customRuleAddress, ruleData);
+    assert.strictEqual(ruleExplanation.contractName, 'CustomPricerRule', 'Rule should be resolved by its name.');
+    assert.strictEqual(ruleExplanation.source, 'tokenRules', 'Rule ABI should be read from token rules.');
+    assert.strictEqual(ruleExplanation.verified, true, 'Registered rule should be verified.');
+    assert.strictEqual(ruleExplanation.method, 'setAcceptanceMargin', 'Incorrect method.');
+
+    const executeRuleData = tokenHolderContract.methods
+        .executeRule(customRuleAddress, ruleData, 0, config.ZERO_BYTES, config.ZERO_BYTES, 27)
+        .encodeABI(),
+      executeRuleExplanation = await explainer.explain(tokenHolderProxy, executeRuleData);
+
+    assert.strictEqual(executeRuleExplanation.method, 'executeRule', 'Incorrect method.');
+    assert.strictEqual(
+      executeRuleExplanation.calls[0].contractName,
+      'CustomPricerRule',
+      'Rule call should be unwrapped.'
+    );
+    assert.strictEqual(executeRuleExplanation.calls[0].source, 'tokenRules', 'Incorrect rule source.');
+    assert.include(
+      executeRuleExplanation.description,
+      'Call CustomPricerRule.setAcceptanceMargin(',
+      'Description should show the rule call.'
+    );
+  });
+
+  it('Caches registered rules in rule registry', async function() {
+    const ruleRegistry = new RuleRegistry(auxiliaryWeb3, economyAddresses.tokenRules),
+      latestBlock = await auxiliaryWeb3.eth.getBlockNumber();
+
+    const addedRules = await ruleRegistry.sync(latestBlock);
+    assert.deepEqual(
+      addedRules.map(function(rule) {
+        return rule.ruleName;
+      }),
+      ['PricerRule', 'CustomPricerRule'],
+      'Incorrect cached rules.'
+    );
+    assert.strictEqual(ruleRegistry.cursor.nextBlock, latestBlock + 1, 'Cursor should point to the next block.');
+
+    // Persisted registry is resumed without reading the rules again.
+    const resumedRegistry = RuleRegistry.fromJSON(auxiliaryWeb3, JSON.parse(JSON.stringify(ruleRegistry)));
+    assert.deepEqual(await resumedRegistry.sync(latestBlock), [], 'No rule should be added again.');
+
+    const tokenRulesObject = new TokenRules(economyAddresses.tokenRules, auxiliaryWeb3, resumedRegistry),
+      ruleByNameData = await tokenRulesObject.getRuleByName('CustomPricerRule');
+    assert.strictEqual(ruleByNameData.ruleAddress, customRuleAddress, 'Incorrect rule address');
+    assert.deepEqual(JSON.parse(ruleByNameData.ruleAbi), abiBinProvider.getABI('PricerRule'), 'Incorrect rule abi');
+
+    // Cursor is past the block, so events are not read again.
+    assert.deepEqual(await ruleRegistry.sync(latestBlock), [], 'No rule should be added for a synced block.');
+    assert.strictEqual(ruleRegistry.cursor.nextBlock, latestBlock + 1, 'Cursor should not move back.');
+  });
+
+  it('Caches rules read on lookup misses in rule registry', async function() {
+    const ruleRegistry = new RuleRegistry(auxiliaryWeb3, economyAddresses.tokenRules),
+      tokenRulesObject = new TokenRules(economyAddresses.tokenRules, auxiliaryWeb3, ruleRegistry),
+      explainer = new TransactionExplainer(auxiliaryWeb3, null, null, ruleRegistry),
+      pricerRuleContract = new auxiliaryWeb3.eth.Contract(abiBinProvider.getABI('PricerRule')),
+      ruleData = pricerRuleContract.methods
+        .setAcceptanceMargin(auxiliaryWeb3.utils.stringToHex('OST'), '1')
+        .encodeABI();
+
+    await tokenRulesObject.getRuleByName('CustomPricerRule');
+    const explanation = await explainer.explain(economyAddresses.pricerRule, ruleData);
+    assert.strictEqual(explanation.contractName, 'PricerRule', 'Rule should be resolved through the registry.');
+
+    assert.deepEqual(
+      ruleRegistry.getRules().map(function(rule) {
+        return rule.ruleName;
+      }),
+      ['CustomPricerRule', 'PricerRule'],
+      'Looked up rules should be cached.'
+    );
+    assert.strictEqual(ruleRegistry.getRuleByName('PricerRule').blockNumber, null, 'Position should not be known.');
+
+    // Syncing fills in the position of the cached rules.
+    assert.deepEqual(await ruleRegistry.sync(), [], 'Cached rules should not be added again.');
+    assert.isAbove(ruleRegistry.getRuleByName('PricerRule').blockNumber, 0, 'Position should be filled in.');
+    assert.isAbove(ruleRegistry.getRuleByName('CustomPricerRule').blockNumber, 0, 'Position should be filled in.');
+  });
+
+  it('Resumes economy setup from deployment manifest', async function() {
+    const manifest = new DeploymentManifest(),
+      economySetup = new EconomySetup(auxiliaryWeb3, manifest),
+      pricerRuleConfig = {
+        baseCurrencyCode: config.baseCurrencyCode,
+        conversionRate: config.conversionRate,
+        conversionRateDecimals: config.conversionRateDecimals,
+        requiredPriceOracleDecimals: config.requiredPriceOracleDecimals
+      };
+
+    const firstRunAddresses = await economySetup.deploy(
+      organization,
+      mockToken,
+      pricerRuleConfig,
+      txOptions,
+      workerTxOptions
+    );
+
+    // Dropping last steps to simulate an interrupted setup.
+    manifest.remove('ProxyFactory');
+    manifest.remove('PricerRule');
+
+    const resumedAddresses = await new EconomySetup(auxiliaryWeb3, manifest).deploy(
+      organization,
+      mockToken,
+      pricerRuleConfig,
+      txOptions,
+      workerTxOptions
+    );
+
+    assert.strictEqual(
+      resumedAddresses.tokenRules,
+      firstRunAddresses.tokenRules,
+      'TokenRules should not be redeployed.'
+    );
+    assert.strictEqual(
+      resumedAddresses.userWalletFactory,
+      firstRunAddresses.userWalletFactory,
+      'UserWalletFactory should not be redeployed.'
+    );
+    assert.notStrictEqual(
+      resumedAddresses.proxyFactory,
+      firstRunAddresses.proxyFactory,
+      'ProxyFactory should be redeployed.'
+    );
+    assert.deepEqual(
+      resumedAddresses.skipped,
+      ['deployTokenRules', 'deployMultiSigMasterCopy', 'deployTokenHolderMasterCopy', 'deployUserWalletFactory'],
+      'Incorrect skipped steps.'
+    );
+
+    // Same contract deployed under another deployment id doesn't collide with PricerRule entry.
+    const rulesSetup = new RulesSetup(auxiliaryWeb3, organization, mockToken, resumedAddresses.tokenRules, manifest),
+      args = [
+        organization,
+        mockToken,
+        auxiliaryWeb3.utils.stringToHex(config.baseCurrencyCode),
+        config.conversionRate,
+        config.conversionRateDecimals,
+        config.requiredPriceOracleDecimals,
+        resumedAddresses.tokenRules
+      ];
+
+    const secondPricerRuleResponse = await rulesSetup.deployRule(
+      'PricerRule',
+      args,
+      txOptions,
+      null,
+      null,
+      'SecondPricerRule'
+    );
+    assert.strictEqual(secondPricerRuleResponse.skipped, false, 'Second PricerRule should be deployed.');
+    assert.notStrictEqual(
+      secondPricerRuleResponse.receipt.contractAddress,
+      resumedAddresses.pricerRule,
+      'Second PricerRule should have its own address.'
+    );
+    assert.strictEqual(
+      manifest.get('PricerRule').address,
+      resumedAddresses.pricerRule,
+      'PricerRule entry should not be overwritten.'
+    );
+
+    const resumedSecondPricerRuleResponse = await rulesSetup.deployRule(
+      'PricerRule',
+      args,
+      txOptions,
+      null,
+      null,
+      'SecondPricerRule'
+    );
+    assert.strictEqual(resumedSecondPricerRuleResponse.skipped, true, 'Second PricerRule should not be redeployed.');
+    assert.strictEqual(
+      resumedSecondPricerRuleResponse.instance.options.address,
+      secondPricerRuleResponse.receipt.contractAddress,
+      'Incorrect instance address.'
+    );
+  });
+
+  it('Resumes custom rule deployment and registration from deployment manifest', async function() {
+    const manifest = new DeploymentManifest(),
+      rulesSetup = new RulesSetup(auxiliaryWeb3, organization, mockToken, economyAddresses.tokenRules, manifest),
+      ruleName = 'ResumedPricerRule',
+      args = [
+        organization,
+        mockToken,
+        auxiliaryWeb3.utils.stringToHex(config.baseCurrencyCode),
+        config.conversionRate,
+        config.conversionRateDecimals,
+        config.requiredPriceOracleDecimals,
+        economyAddresses.tokenRules
+      ];
+
+    const firstResponse = await rulesSetup.deployAndRegisterRule(
+      'PricerRule',
+      args,
+      ruleName,
+      txOptions,
+      workerTxOptions
+    );
+    assert.strictEqual(firstResponse.registrationReceipt.status, true, 'Rule should be registered.');
+
+    const resumedResponse = await rulesSetup.deployAndRegisterRule(
+      'PricerRule',
+      args,
+      ruleName,
+      txOptions,
+      workerTxOptions
+    );
+    assert.strictEqual(resumedResponse.skipped, true, 'Rule should not be redeployed.');
+    assert.strictEqual(resumedResponse.registrationReceipt, null, 'Rule should not be registered again.');
+    assert.strictEqual(
+      resumedResponse.receipt.contractAddress,
+      firstResponse.receipt.contractAddress,
+      'Incorrect rule address.'
+    );
+  });
+
+  it('Validates signed integer arguments of a rule at range bounds', async function() {
+    const tokenRulesObject = new TokenRules(economyAddresses.tokenRules, auxiliaryWeb3),
+      ruleName = 'SignedIntRule',
+      ruleAbi = [
+        {
+          constant: false,
+          inputs: [{ name: '_offset', type: 'int8' }, { name: '_adjustment', type: 'int256' }],
+          name: 'setOffset',
+          outputs: [],
+          payable: false,
+          stateMutability: 'nonpayable',
+          type: 'function'
+        }
+      ],
+      web3Utils = auxiliaryWeb3.utils,
+      int256Limit = web3Utils.toBN(2).pow(web3Utils.toBN(255));
+
+    await tokenRulesObject.registerRule(
+      ruleName,
+      auxiliaryWeb3.eth.accounts.create().address,
+      JSON.stringify(ruleAbi),
+      workerTxOptions
+    );
+
+    const minimumExecutable = await tokenRulesObject.getRuleExecutableData(ruleName, 'setOffset', [
+      -128,
+      int256Limit.neg().toString()
+    ]);
+    assert.strictEqual(
+      auxiliaryWeb3.eth.abi.decodeParameters(['int8', 'int256'], '0x' + minimumExecutable.data.slice(10))[0],
+      '-128',
+      'Minimum int8 should be encoded.'
+    );
+    await tokenRulesObject.getRuleExecutableData(ruleName, 'setOffset', [127, int256Limit.subn(1).toString()]);
+
+    const outOfRangeArgs = [
+      [[-129, 0], 'args[0]'],
+      [[128, 0], 'args[0]'],
+      [
+        [
+          0,
+          int256Limit
+            .neg()
+            .subn(1)
+            .toString()
+        ],
+        'args[1]'
+      ],
+      [[0, int256Limit.toString()], 'args[1]']
+    ];
+    for (let i = 0; i < outOfRangeArgs.length; i++) {
+      try {
+        await tokenRulesObject.getRuleExecutableData(ruleName, 'setOffset', outOfRangeArgs[i][0]);
+        assert.fail('Out of range argument should be rejected.');
+      } catch (error) {
+        assert.strictEqual(error.code, ValidationError.Codes.invalidArgument, 'Incorrect error code.');
+        assert.strictEqual(error.field, outOfRangeArgs[i][1], 'Incorrect invalid field.');
+      }
+    }
+  });
+});
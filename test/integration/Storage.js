@@ -0,0 +1,199 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+const chai = require('chai'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  Module = require('module'),
+  Package = require('../../index');
+
+const FileStorage = Package.Storage.FileStorage,
+  KeyValueStorage = Package.Storage.KeyValueStorage,
+  assert = chai.assert;
+
+// Key/value store with the interface of window.localStorage.
+function createLocalStorage() {
+  const items = {};
+  return {
+    items: items,
+    getItem: function(key) {
+      return items.hasOwnProperty(key) ? items[key] : null;
+    },
+    setItem: function(key, value) {
+      items[key] = String(value);
+    },
+    removeItem: function(key) {
+      delete items[key];
+    }
+  };
+}
+
+// Key/value store with the async interface of React Native AsyncStorage.
+function createAsyncStorage() {
+  const localStorage = createLocalStorage();
+  return {
+    items: localStorage.items,
+    getItem: async function(key) {
+      return localStorage.getItem(key);
+    },
+    setItem: async function(key, value) {
+      localStorage.setItem(key, value);
+    },
+    removeItem: async function(key) {
+      localStorage.removeItem(key);
+    }
+  };
+}
+
+describe('Storages', async function() {
+  let directory;
+
+  beforeEach(function() {
+    directory = path.join(os.tmpdir(), 'openst-storage-' + Date.now() + '-' + Math.floor(Math.random() * 1e6));
+  });
+
+  afterEach(function() {
+    if (fs.existsSync(directory)) {
+      fs.readdirSync(directory).forEach(function(fileName) {
+        fs.unlinkSync(path.join(directory, fileName));
+      });
+      fs.rmdirSync(directory);
+    }
+  });
+
+  it('Stores values in files', async function() {
+    const storage = new FileStorage(directory);
+
+    assert.strictEqual(await storage.get('key1'), null, 'Missing key should be null.');
+    assert.deepEqual(await storage.keys(), [], 'Missing directory should have no keys.');
+
+    await storage.set('key1', 'value1');
+    await storage.set('key2', 'value2');
+    await storage.set('key1', 'value3');
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'Not a value.');
+
+    assert.strictEqual(await storage.get('key1'), 'value3', 'Value should be overwritten.');
+    assert.sameMembers(await storage.keys(), ['key1', 'key2'], 'Only value files should be listed.');
+    assert.strictEqual(fs.statSync(directory).mode & 0o777, 0o700, 'Directory should be private to the owner.');
+    assert.strictEqual(
+      fs.statSync(path.join(directory, 'key2.json')).mode & 0o777,
+      0o600,
+      'Value should be private to the owner.'
+    );
+
+    // Values are kept across instances.
+    const reopenedStorage = new FileStorage(directory);
+    assert.strictEqual(await reopenedStorage.get('key2'), 'value2', 'Value should be persisted.');
+
+    await reopenedStorage.remove('key1');
+    await reopenedStorage.remove('missingKey');
+    assert.strictEqual(await storage.get('key1'), null, 'Removed key should be null.');
+    assert.deepEqual(await storage.keys(), ['key2'], 'Removed key should not be listed.');
+  });
+
+  it('Keeps file storage keys inside its directory', async function() {
+    const storageDirectory = path.join(directory, 'nested', 'storage'),
+      storage = new FileStorage(storageDirectory),
+      outsideFile = path.join(directory, 'nested', 'outside.json');
+
+    await storage.set('../outside', 'value1');
+    await storage.set('a/b', 'value2');
+
+    assert.isFalse(fs.existsSync(outsideFile), 'Value should not be written outside the directory.');
+    assert.strictEqual(await storage.get('../outside'), 'value1', 'Incorrect value.');
+    assert.strictEqual(await storage.get('a/b'), 'value2', 'Incorrect value.');
+    assert.sameMembers(await storage.keys(), ['../outside', 'a/b'], 'Keys should be decoded.');
+    assert.sameMembers(fs.readdirSync(storageDirectory), ['..%2Foutside.json', 'a%2Fb.json'], 'Incorrect files.');
+
+    fs.writeFileSync(outsideFile, 'keep');
+    await storage.remove('../outside');
+    assert.strictEqual(fs.readFileSync(outsideFile, 'utf8'), 'keep', 'File outside the directory should be kept.');
+
+    fs.unlinkSync(outsideFile);
+    fs.readdirSync(storageDirectory).forEach(function(fileName) {
+      fs.unlinkSync(path.join(storageDirectory, fileName));
+    });
+    fs.rmdirSync(storageDirectory);
+    fs.rmdirSync(path.join(directory, 'nested'));
+  });
+
+  it('Rejects file storage in web build', async function() {
+    const filePath = require.resolve('../../lib/storage/FileStorage'),
+      webSource = fs
+        .readFileSync(filePath, 'utf8')
+        .replace(new RegExp('//__NOT_FOR_WEB__BEGIN__.*?//__NOT_FOR_WEB__END__', 'isg'), ''),
+      webModule = new Module(filePath, module);
+
+    webModule.filename = filePath;
+    webModule._compile(webSource, filePath);
+
+    const WebFileStorage = webModule.exports;
+    assert.throws(
+      function() {
+        return new WebFileStorage(directory);
+      },
+      /not supported in browser/,
+      'File storage should not be usable in browser.'
+    );
+    assert.isFalse(fs.existsSync(directory), 'Nothing should be written.');
+  });
+
+  it('Stores values in a key/value store', async function() {
+    const localStorage = createLocalStorage(),
+      storage = new KeyValueStorage(localStorage);
+
+    localStorage.setItem('otherData', 'keep');
+    assert.strictEqual(await storage.get('key1'), null, 'Missing key should be null.');
+    assert.deepEqual(await storage.keys(), [], 'Empty storage should have no keys.');
+
+    await storage.set('key1', 'value1');
+    await storage.set('key2', 'value2');
+    await storage.set('key1', 'value3');
+
+    assert.strictEqual(await storage.get('key1'), 'value3', 'Value should be overwritten.');
+    assert.deepEqual(await storage.keys(), ['key1', 'key2'], 'Keys should be listed once.');
+    assert.strictEqual(localStorage.getItem('openst:key2'), 'value2', 'Keys should be prefixed in the store.');
+
+    await storage.remove('key1');
+    await storage.remove('missingKey');
+    assert.strictEqual(await storage.get('key1'), null, 'Removed key should be null.');
+    assert.deepEqual(await storage.keys(), ['key2'], 'Removed key should not be listed.');
+    assert.strictEqual(localStorage.getItem('otherData'), 'keep', 'Other data of the store should be kept.');
+  });
+
+  it('Separates key/value storages by prefix', async function() {
+    const asyncStorage = createAsyncStorage(),
+      firstStorage = new KeyValueStorage(asyncStorage, 'first:'),
+      secondStorage = new KeyValueStorage(asyncStorage, 'second:');
+
+    await firstStorage.set('key', 'firstValue');
+    await secondStorage.set('key', 'secondValue');
+    await secondStorage.set('otherKey', 'otherValue');
+
+    assert.strictEqual(await firstStorage.get('key'), 'firstValue', 'Incorrect value of first storage.');
+    assert.strictEqual(await secondStorage.get('key'), 'secondValue', 'Incorrect value of second storage.');
+    assert.deepEqual(await firstStorage.keys(), ['key'], 'Keys of second storage should not be listed.');
+
+    await secondStorage.remove('key');
+    assert.strictEqual(await firstStorage.get('key'), 'firstValue', 'First storage should be unaffected.');
+    assert.deepEqual(await secondStorage.keys(), ['otherKey'], 'Incorrect keys of second storage.');
+  });
+});
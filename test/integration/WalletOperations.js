@@ -33,7 +33,14 @@ const TokenRulesSetup = Package.Setup.TokenRules,
   User = Package.Helpers.User,
   AbiBinProvider = Package.AbiBinProvider,
   TokenHolder = Package.Helpers.TokenHolder,
-  GnosisSafe = Package.Helpers.GnosisSafe;
+  GnosisSafe = Package.Helpers.GnosisSafe,
+  WalletDiscovery = Package.Helpers.WalletDiscovery,
+  Recovery = Package.Helpers.Recovery,
+  SessionExpiry = Package.Helpers.SessionExpiry,
+  SessionKeyStore = Package.Helpers.SessionKeyStore,
+  DevicePairing = Package.Helpers.DevicePairing,
+  TransactionExplainer = Package.Helpers.TransactionExplainer,
+  ValidationError = Package.Errors.ValidationError;
 
 const auxiliaryWeb3 = new Web3(config.gethRpcEndPoint),
   web3WalletHelperInstance = new Web3WalletHelper(auxiliaryWeb3),
@@ -176,6 +183,183 @@ describe('Wallet operations', async function() {
     tokenHolderProxy = userWalletEvent._tokenHolderProxy;
   });
 
+  it('Should reject invalid user wallet parameters', async function() {
+    const userInstance = new User(
+      gnosisSafeMasterCopyAddress,
+      thMasterCopyAddress,
+      mockToken,
+      tokenRulesAddress,
+      userWalletFactoryAddress,
+      auxiliaryWeb3
+    );
+
+    const blockNumber = await auxiliaryWeb3.eth.getBlockNumber(),
+      invalidInputs = [
+        {
+          code: ValidationError.Codes.invalidThreshold,
+          params: [
+            [wallets[3].address],
+            2,
+            [wallets[5].address],
+            [config.sessionKeySpendingLimit],
+            [config.sessionKeyExpirationHeight]
+          ]
+        },
+        {
+          code: ValidationError.Codes.lengthMismatch,
+          params: [[wallets[3].address], 1, [wallets[5].address], [], [config.sessionKeyExpirationHeight]]
+        },
+        {
+          code: ValidationError.Codes.invalidAddress,
+          params: [
+            [wallets[3].address.toLowerCase()],
+            1,
+            [wallets[5].address],
+            [config.sessionKeySpendingLimit],
+            [config.sessionKeyExpirationHeight]
+          ]
+        },
+        {
+          code: ValidationError.Codes.expiredHeight,
+          params: [[wallets[3].address], 1, [wallets[5].address], [config.sessionKeySpendingLimit], [blockNumber]]
+        }
+      ];
+
+    const nonceBefore = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress);
+    for (let i = 0; i < invalidInputs.length; i++) {
+      const params = invalidInputs[i].params;
+      let error = null;
+      try {
+        await userInstance.createUserWallet(
+          params[0],
+          params[1],
+          config.NULL_ADDRESS,
+          config.ZERO_BYTES,
+          params[2],
+          params[3],
+          params[4],
+          txOptions
+        );
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, ValidationError, 'ValidationError should be raised.');
+      assert.strictEqual(error.code, invalidInputs[i].code, 'Incorrect validation error code.');
+    }
+    const nonceAfter = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress);
+
+    assert.strictEqual(nonceAfter, nonceBefore, 'Invalid parameters should not be sent.');
+  });
+
+  it('Should load user wallet', async function() {
+    const userInstance = new User(
+      gnosisSafeMasterCopyAddress,
+      thMasterCopyAddress,
+      mockToken,
+      tokenRulesAddress,
+      userWalletFactoryAddress,
+      auxiliaryWeb3
+    );
+
+    const userWallet = await userInstance.loadUserWallet(tokenHolderProxy);
+
+    assert.strictEqual(userWallet.gnosisSafeProxy, gnosisSafeProxy, 'Incorrect gnosis safe proxy.');
+    assert.strictEqual(userWallet.economy.eip20Token, mockToken, 'Incorrect token address.');
+    assert.strictEqual(userWallet.economy.tokenRules, tokenRulesAddress, 'Incorrect token rules address.');
+    assert.deepEqual(await userWallet.getOwners(), [wallets[3].address, wallets[9].address], 'Incorrect owners.');
+    assert.strictEqual(await userWallet.getThreshold(), '1', 'Incorrect threshold.');
+    assert.strictEqual(await userWallet.getTokenBalance(), '0', 'Incorrect token balance.');
+
+    const session = await userWallet.getSession(wallets[5].address);
+    assert.strictEqual(session.spendingLimit, config.sessionKeySpendingLimit.toString(), 'Incorrect spending limit.');
+    assert.strictEqual(session.status, '1', 'Session key should be authorized.');
+  });
+
+  it('Should create user wallets in batch', async function() {
+    const userInstance = new User(
+      gnosisSafeMasterCopyAddress,
+      thMasterCopyAddress,
+      mockToken,
+      tokenRulesAddress,
+      userWalletFactoryAddress,
+      auxiliaryWeb3
+    );
+
+    const walletSpecs = [wallets[3], wallets[7], wallets[8]].map(function(ownerWallet) {
+        return {
+          owners: [ownerWallet.address],
+          threshold: 1,
+          sessionKeys: [wallets[5].address],
+          sessionKeysSpendingLimits: [config.sessionKeySpendingLimit],
+          sessionKeysExpirationHeights: [config.sessionKeyExpirationHeight]
+        };
+      }),
+      deployers = [config.deployerAddress, config.facilitatorAddress];
+
+    const results = await userInstance.createUserWallets(walletSpecs, deployers, txOptions, 2);
+
+    assert.strictEqual(results.length, walletSpecs.length, 'Result should be returned for every wallet spec.');
+    for (let i = 0; i < results.length; i++) {
+      assert.strictEqual(results[i].status, 'success', 'User wallet creation failed.');
+      assert.isNotNull(results[i].gnosisSafeProxy, 'Gnosis safe proxy address should not be null.');
+      assert.isNotNull(results[i].tokenHolderProxy, 'TH proxy address should not be null.');
+    }
+
+    // Resuming a completed batch doesn't send any transaction.
+    const nonceBefore = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress),
+      resumedResults = await userInstance.createUserWallets(walletSpecs, deployers, txOptions, 2, results),
+      nonceAfter = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress);
+
+    assert.strictEqual(nonceAfter, nonceBefore, 'Completed batch should not be sent again.');
+    assert.deepEqual(resumedResults, results, 'Resumed results should be same as previous results.');
+  });
+
+  it('Should report invalid wallet specs in batch without sending them', async function() {
+    const userInstance = new User(
+      gnosisSafeMasterCopyAddress,
+      thMasterCopyAddress,
+      mockToken,
+      tokenRulesAddress,
+      userWalletFactoryAddress,
+      auxiliaryWeb3
+    );
+
+    const validWalletSpec = {
+        owners: [wallets[3].address],
+        threshold: 1,
+        sessionKeys: [wallets[5].address],
+        sessionKeysSpendingLimits: [config.sessionKeySpendingLimit],
+        sessionKeysExpirationHeights: [config.sessionKeyExpirationHeight]
+      },
+      invalidWalletSpec = Object.assign({}, validWalletSpec, { threshold: 2 });
+
+    const nonceBefore = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress),
+      results = await userInstance.createUserWallets(
+        [validWalletSpec, invalidWalletSpec],
+        [config.deployerAddress],
+        txOptions
+      ),
+      nonceAfter = await auxiliaryWeb3.eth.getTransactionCount(config.deployerAddress);
+
+    assert.strictEqual(results[0].status, 'success', 'Valid wallet spec should be created.');
+    assert.strictEqual(nonceAfter, nonceBefore + 1, 'Invalid wallet spec should not be sent.');
+    assert.strictEqual(results[1].status, 'failed', 'Invalid wallet spec should fail.');
+    assert.strictEqual(results[1].transactionHash, null, 'No transaction should be sent for invalid wallet spec.');
+    assert.deepEqual(
+      {
+        type: results[1].error.type,
+        code: results[1].error.code,
+        field: results[1].error.field
+      },
+      {
+        type: 'ValidationFailed',
+        code: ValidationError.Codes.invalidThreshold,
+        field: 'threshold'
+      },
+      'Incorrect failure.'
+    );
+  });
+
   // wallet3, wallet9 are current owners.
   // After AddWallet wallet3, wallet9, wallet7 are the owners.
   it('Should add wallet', async function() {
@@ -391,6 +575,42 @@ describe('Wallet operations', async function() {
     );
   });
 
+  it('Should query and subscribe session events', async function() {
+    const tokenHolderInstance = new TokenHolder(auxiliaryWeb3, tokenHolderProxy),
+      sessionKey = wallets[7].address;
+
+    const pastEvents = await tokenHolderInstance.getPastEvents('SessionAuthorized');
+    assert.deepEqual(
+      pastEvents.map(function(event) {
+        return event.returnValues._sessionKey;
+      }),
+      [ephemeralKey.address, sessionKey],
+      'Incorrect authorized session keys.'
+    );
+
+    // Subscription from the first block delivers the past events.
+    const receivedEvents = [];
+    const subscription = await new Promise(function(resolve, reject) {
+      const eventSubscription = tokenHolderInstance.onSessionAuthorized(
+        function(error, event) {
+          if (error) {
+            return reject(error);
+          }
+          receivedEvents.push(event);
+          if (event.returnValues._sessionKey === sessionKey) {
+            resolve(eventSubscription);
+          }
+        },
+        { nextBlock: 0, lastLogIndex: -1 },
+        100
+      );
+    });
+    subscription.unsubscribe();
+
+    assert.strictEqual(receivedEvents.length, 2, 'Incorrect number of events.');
+    assert.isAbove(subscription.cursor.nextBlock, pastEvents[1].blockNumber, 'Cursor should move past the events.');
+  });
+
   // wallet9, wallet8 are the owners.
   it('Should revoke session', async function() {
     const tokenHolderInstance = new TokenHolder(auxiliaryWeb3, tokenHolderProxy);
@@ -444,7 +664,119 @@ describe('Wallet operations', async function() {
     );
   });
 
-  // wallet9, wallet8 are the owners.
+  // wallet5 session is active, wallet7 session is revoked.
+  it('Should list sessions of token holder', async function() {
+    const tokenHolderInstance = new TokenHolder(auxiliaryWeb3, tokenHolderProxy),
+      sessions = await tokenHolderInstance.inspectSessionKeys();
+
+    assert.deepEqual(
+      sessions.map(function(session) {
+        return session.sessionKey;
+      }),
+      [ephemeralKey.address, wallets[7].address],
+      'Incorrect session keys.'
+    );
+
+    assert.strictEqual(sessions[0].status, 'active', 'Session should be active.');
+    assert.strictEqual(sessions[0].spendingLimit, config.sessionKeySpendingLimit.toString(), 'Incorrect limit.');
+    assert.strictEqual(sessions[0].nonce, '0', 'Incorrect nonce.');
+    assert.isAbove(parseInt(sessions[0].blocksRemaining), 0, 'Blocks remaining should be greater than 0.');
+    assert.strictEqual(sessions[1].status, 'revoked', 'Session should be revoked.');
+  });
+
+  it('Should store and track session keys', async function() {
+    const sessionKeyStore = new SessionKeyStore(auxiliaryWeb3),
+      password = 'session key password';
+
+    const generatedKey = await sessionKeyStore.generate(password),
+      unlockedKey = await sessionKeyStore.unlock(generatedKey.address, password);
+
+    assert.strictEqual(unlockedKey.privateKey, generatedKey.privateKey, 'Unlocked key should match generated key.');
+    assert.isFunction(unlockedKey.signEIP1077Transaction, 'Unlocked key should sign EIP1077 transactions.');
+    assert.notInclude(
+      JSON.stringify(await sessionKeyStore.get(generatedKey.address)),
+      generatedKey.privateKey.slice(2),
+      'Private key should not be stored in plain text.'
+    );
+
+    await sessionKeyStore.import(ephemeralKey.privateKey, password);
+    const record = await sessionKeyStore.track(ephemeralKey.address, tokenHolderProxy);
+
+    assert.strictEqual(record.tokenHolderProxy, tokenHolderProxy, 'Incorrect token holder.');
+    assert.strictEqual(record.expirationHeight, config.sessionKeyExpirationHeight.toString(), 'Incorrect height.');
+    assert.deepEqual(
+      (await sessionKeyStore.listByTokenHolder(tokenHolderProxy)).map(function(item) {
+        return item.address;
+      }),
+      [ephemeralKey.address],
+      'Only tracked session key should be listed for the token holder.'
+    );
+    assert.deepEqual(await sessionKeyStore.listExpired(), [], 'No session key should be expired.');
+
+    await sessionKeyStore.remove(generatedKey.address);
+    assert.strictEqual((await sessionKeyStore.list()).length, 1, 'Removed session key should not be listed.');
+  });
+
+  it('Should convert session expiry to expiration height', async function() {
+    const averageBlockTime = 5,
+      sessionExpiry = new SessionExpiry(auxiliaryWeb3, averageBlockTime),
+      duration = 30 * 24 * 60 * 60,
+      blockBefore = await auxiliaryWeb3.eth.getBlockNumber();
+
+    const expirationHeight = parseInt(await sessionExpiry.getExpirationHeight({ duration: duration })),
+      blockAfter = await auxiliaryWeb3.eth.getBlockNumber(),
+      expectedBlocks = duration / averageBlockTime;
+
+    assert.isAtLeast(expirationHeight, blockBefore + expectedBlocks, 'Expiration height is too low.');
+    assert.isAtMost(expirationHeight, blockAfter + expectedBlocks, 'Expiration height is too high.');
+    assert.strictEqual(
+      await sessionExpiry.getExpirationHeight(config.sessionKeyExpirationHeight),
+      config.sessionKeyExpirationHeight,
+      'Expiration height should be used as is.'
+    );
+
+    const latestBlock = await auxiliaryWeb3.eth.getBlock('latest'),
+      estimatedExpiryTime = await sessionExpiry.estimateExpiryTime(expirationHeight, latestBlock.number);
+    assert.strictEqual(
+      estimatedExpiryTime,
+      latestBlock.timestamp + (expirationHeight - latestBlock.number) * averageBlockTime,
+      'Incorrect estimated expiry time.'
+    );
+
+    try {
+      await sessionExpiry.getExpirationHeight({ deadline: new Date(Date.now() - 60 * 60 * 1000) });
+      assert.fail('Deadline in past should be rejected.');
+    } catch (error) {
+      assert.instanceOf(error, ValidationError, 'Error should be a ValidationError.');
+      assert.strictEqual(error.code, ValidationError.Codes.expiredHeight, 'Incorrect error code.');
+    }
+  });
+
+  // wallet9, wallet8 are the owners. wallet9 key is lost.
+  // After recovery wallet6, wallet8 are the owners.
+  it('Should recover wallet', async function() {
+    const recovery = new Recovery(auxiliaryWeb3, gnosisSafeProxy, tokenHolderProxy),
+      lostOwner = wallets[9].address,
+      newOwner = wallets[6].address,
+      // wallet7 session is already revoked, so only wallet5 session is revoked.
+      lostSessionKeys = [ephemeralKey.address, wallets[7].address];
+
+    const response = await recovery.recover(lostOwner, newOwner, lostSessionKeys, [wallets[8]], txOptions);
+
+    assert.strictEqual(response.receipts.length, 2, 'Owner swap and one session revocation should be executed.');
+    assert.deepEqual(response.revokedSessionKeys, [ephemeralKey.address], 'Incorrect revoked session keys.');
+    assert.deepEqual(response.skippedSessionKeys, [wallets[7].address], 'Incorrect skipped session keys.');
+
+    const owners = await gnosisSafeProxyInstance.getOwners();
+    assert.include(owners, newOwner, 'New owner should be added.');
+    assert.notInclude(owners, lostOwner, 'Lost owner should be removed.');
+
+    const tokenHolderInstance = new TokenHolder(auxiliaryWeb3, tokenHolderProxy),
+      sessionKeyData = await tokenHolderInstance.getSessionKeyData(ephemeralKey.address);
+    assert.strictEqual(sessionKeyData.status, '2', 'Session of lost device should be revoked.');
+  });
+
+  // wallet6, wallet8 are the owners.
   it('Should change required threshold', async function() {
     // Owners already added should be equal or less than the threshold limit. Here, we have 2-owners in the gnosisSafe proxy.
     const newThreshold = 2;
@@ -489,4 +821,187 @@ describe('Wallet operations', async function() {
       'Expected threshold was not set'
     );
   });
+
+  // wallet6, wallet8 are the owners. wallet5, wallet7 are the session keys.
+  it('Should discover wallets', async function() {
+    const discovery = new WalletDiscovery(auxiliaryWeb3, userWalletFactoryAddress, null, mockToken, tokenRulesAddress),
+      latestBlock = await auxiliaryWeb3.eth.getBlockNumber();
+
+    // Scanning a single page and resuming the rest from the persisted cursor.
+    await discovery.scanPage(latestBlock, 10);
+    assert.strictEqual(discovery.cursor.nextBlock, 10, 'Cursor should point to the next page.');
+
+    const resumedDiscovery = WalletDiscovery.fromJSON(auxiliaryWeb3, JSON.parse(JSON.stringify(discovery)));
+    await resumedDiscovery.scan(latestBlock, 10);
+    assert.strictEqual(resumedDiscovery.cursor.nextBlock, latestBlock + 1, 'Scan should reach the latest block.');
+
+    // One user wallet and four batch created user wallets.
+    assert.strictEqual(resumedDiscovery.getWallets().length, 5, 'Incorrect number of discovered wallets.');
+
+    const ownerWallets = resumedDiscovery.getWalletsByAddress(wallets[8].address);
+    assert.strictEqual(ownerWallets.length, 2, 'Owner should have its batch created and the first wallet.');
+
+    const sessionKeyWallets = resumedDiscovery.getWalletsByAddress(wallets[7].address);
+    assert.strictEqual(sessionKeyWallets.length, 1, 'Session key should have one wallet.');
+    assert.strictEqual(sessionKeyWallets[0].gnosisSafeProxy, gnosisSafeProxy, 'Incorrect gnosis safe proxy.');
+    assert.strictEqual(sessionKeyWallets[0].tokenHolderProxy, tokenHolderProxy, 'Incorrect TH proxy.');
+  });
+
+  it('Should retry a failed discovery page without duplicating wallets', async function() {
+    const discovery = new WalletDiscovery(auxiliaryWeb3, userWalletFactoryAddress, null, mockToken, tokenRulesAddress),
+      latestBlock = await auxiliaryWeb3.eth.getBlockNumber(),
+      updateOwners = discovery._updateOwners;
+
+    // Owners of the page can't be read once.
+    discovery._updateOwners = async function() {
+      discovery._updateOwners = updateOwners;
+      throw new Error('Owners cannot be read.');
+    };
+
+    try {
+      await discovery.scanPage(latestBlock, latestBlock + 1);
+      assert.fail('Page scan should fail.');
+    } catch (error) {
+      assert.strictEqual(error.message, 'Owners cannot be read.', 'Incorrect error.');
+    }
+    assert.strictEqual(discovery.cursor.nextBlock, 0, 'Cursor should not move for a failed page.');
+    assert.deepEqual(discovery.getWallets(), [], 'Wallets of a failed page should not be kept.');
+
+    await discovery.scan(latestBlock);
+    const tokenHolderProxies = discovery.getWallets().map(function(wallet) {
+      return wallet.tokenHolderProxy;
+    });
+    assert.strictEqual(tokenHolderProxies.length, 5, 'Incorrect number of discovered wallets.');
+    assert.strictEqual(new Set(tokenHolderProxies).size, 5, 'Wallets should not be duplicated.');
+    assert.strictEqual(
+      discovery.getWalletsByAddress(wallets[7].address)[0].tokenHolderProxy,
+      tokenHolderProxy,
+      'Retried page should read session keys.'
+    );
+  });
+
+  it('Should revoke sessions and logout', async function() {
+    const userInstance = new User(
+      gnosisSafeMasterCopyAddress,
+      thMasterCopyAddress,
+      mockToken,
+      tokenRulesAddress,
+      userWalletFactoryAddress,
+      auxiliaryWeb3
+    );
+
+    const receipt = await userInstance.createUserWallet(
+        [wallets[3].address],
+        1,
+        config.NULL_ADDRESS,
+        config.ZERO_BYTES,
+        [wallets[5].address, wallets[7].address, wallets[8].address],
+        [config.sessionKeySpendingLimit, config.sessionKeySpendingLimit, config.sessionKeySpendingLimit],
+        [config.sessionKeyExpirationHeight, config.sessionKeyExpirationHeight, config.sessionKeyExpirationHeight],
+        txOptions
+      ),
+      userWallet = userInstance.getUserWallet(receipt);
+
+    const revokeResponse = await userWallet.revokeSessions([wallets[7].address], [wallets[3]], txOptions);
+    assert.deepEqual(revokeResponse.revokedSessionKeys, [wallets[7].address], 'Incorrect revoked session keys.');
+
+    // Logout revokes all the remaining sessions with a single safe transaction.
+    const logoutResponse = await userWallet.logout([wallets[3]], txOptions);
+    assert.strictEqual(logoutResponse.receipts.length, 1, 'Logout should be a single transaction.');
+    assert.sameMembers(
+      logoutResponse.revokedSessionKeys,
+      [wallets[5].address, wallets[8].address],
+      'Incorrect logged out session keys.'
+    );
+
+    const sessionKeyData = await userWallet.getSession(wallets[5].address);
+    assert.strictEqual(sessionKeyData.status, '2', 'Session should be revoked after logout.');
+  });
+
+  it('Should pair a new device', async function() {
+    const userInstance = new User(
+      gnosisSafeMasterCopyAddress,
+      thMasterCopyAddress,
+      mockToken,
+      tokenRulesAddress,
+      userWalletFactoryAddress,
+      auxiliaryWeb3
+    );
+
+    const receipt = await userInstance.createUserWallet(
+        [wallets[3].address],
+        1,
+        config.NULL_ADDRESS,
+        config.ZERO_BYTES,
+        [wallets[5].address],
+        [config.sessionKeySpendingLimit],
+        [config.sessionKeyExpirationHeight],
+        txOptions
+      ),
+      userWallet = userInstance.getUserWallet(receipt);
+
+    // New device.
+    const deviceKey = auxiliaryWeb3.eth.accounts.create(),
+      request = DevicePairing.createSessionRequest(
+        deviceKey,
+        userWallet.tokenHolderProxy,
+        config.sessionKeySpendingLimit,
+        config.sessionKeyExpirationHeight,
+        'Phone'
+      ),
+      uri = DevicePairing.toURI(request);
+
+    // Owner device.
+    const devicePairing = new DevicePairing(auxiliaryWeb3, userWallet.gnosisSafeProxy, userWallet.tokenHolderProxy),
+      scannedRequest = DevicePairing.fromURI(uri);
+
+    try {
+      await devicePairing.validateSessionRequest(Object.assign({}, scannedRequest, { spendingLimit: '1' }));
+      assert.fail('Tampered session request should be rejected.');
+    } catch (error) {
+      assert.strictEqual(error.code, ValidationError.Codes.invalidSignature, 'Incorrect error code.');
+    }
+
+    // Request dated in the future would never get old, so it is rejected.
+    const futureRequest = Object.assign({}, scannedRequest, { issuedAt: scannedRequest.issuedAt + 24 * 60 * 60 });
+    futureRequest.signature = deviceKey.sign(DevicePairing.getSessionRequestMessage(futureRequest)).signature;
+    try {
+      await devicePairing.validateSessionRequest(futureRequest);
+      assert.fail('Session request from the future should be rejected.');
+    } catch (error) {
+      assert.strictEqual(error.code, ValidationError.Codes.invalidData, 'Incorrect error code.');
+      assert.strictEqual(error.field, 'issuedAt', 'Incorrect invalid field.');
+    }
+
+    try {
+      DevicePairing.createSessionRequest(deviceKey, userWallet.tokenHolderProxy, config.sessionKeySpendingLimit);
+      assert.fail('Session request without expiry should be rejected.');
+    } catch (error) {
+      assert.strictEqual(error.code, ValidationError.Codes.invalidExpiry, 'Incorrect error code.');
+      assert.strictEqual(error.field, 'expiry', 'Incorrect invalid field.');
+    }
+
+    // Owner reviews the pairing transaction before signing it.
+    const pairingTransaction = await devicePairing.getPairingTransaction(scannedRequest),
+      explanation = await new TransactionExplainer(auxiliaryWeb3).explainSafeTransaction(
+        userWallet.gnosisSafeProxy,
+        pairingTransaction
+      );
+    assert.strictEqual(explanation.call.method, 'authorizeSession', 'Pairing should authorize the session.');
+    assert.include(explanation.description, deviceKey.address, 'Description should show the session key.');
+
+    const pairingReceipt = await devicePairing.pair(scannedRequest, [wallets[3]], txOptions);
+    assert.strictEqual(pairingReceipt.status, true, 'Pairing transaction failed.');
+
+    const session = await userWallet.tokenHolder.inspectSessionKey(deviceKey.address);
+    assert.strictEqual(session.status, 'active', 'Session of the new device should be active.');
+    assert.strictEqual(session.expirationHeight, config.sessionKeyExpirationHeight.toString(), 'Incorrect height.');
+
+    try {
+      await devicePairing.pair(scannedRequest, [wallets[3]], txOptions);
+      assert.fail('Session request should not be replayed.');
+    } catch (error) {
+      assert.strictEqual(error.code, ValidationError.Codes.sessionKeyExists, 'Incorrect error code.');
+    }
+  });
 });
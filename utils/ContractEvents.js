@@ -0,0 +1,335 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+// Default interval in milliseconds at which logs are polled over HTTP providers.
+const DefaultPollingInterval = 1000;
+
+/**
+ * It provides decoded events of a contract, both historical and live.
+ *
+ * Event object consists:
+ *  - event: Name of the event.
+ *  - address: Checksum address of the contract.
+ *  - blockNumber, transactionHash, logIndex: Position of the event.
+ *  - returnValues: Event parameters by name. Addresses are checksummed and integers are BN.
+ *
+ * Subscriptions are resumable with a cursor { nextBlock, lastLogIndex }. Events are delivered
+ * from nextBlock onwards, skipping events of nextBlock with log index up to lastLogIndex.
+ */
+class ContractEvents {
+  /**
+   * Constructor of ContractEvents.
+   *
+   * @param web3 Web3 object.
+   * @param jsonInterface ABI of the contract.
+   * @param address Contract address.
+   * @constructor
+   */
+  constructor(web3, jsonInterface, address) {
+    const oThis = this;
+
+    oThis.web3 = web3;
+    oThis.jsonInterface = jsonInterface;
+    oThis.address = address;
+  }
+
+  /**
+   * It returns decoded events emitted in the block range.
+   *
+   * @param eventName Name of the event.
+   * @param fromBlock Optional start block. Defaults to 0.
+   * @param toBlock Optional end block. Defaults to the latest block.
+   *
+   * @returns {Promise<Array>} Decoded events.
+   */
+  async getPastEvents(eventName, fromBlock, toBlock) {
+    const oThis = this;
+
+    const eventAbi = oThis._getEventAbi(eventName),
+      logs = await oThis.web3.eth.getPastLogs({
+        fromBlock: fromBlock || 0,
+        toBlock: toBlock === undefined || toBlock === null ? 'latest' : toBlock,
+        address: oThis.address,
+        topics: [oThis.web3.eth.abi.encodeEventSignature(eventAbi)]
+      });
+
+    return logs.map(function(log) {
+      return oThis._decodeLog(eventAbi, log);
+    });
+  }
+
+  /**
+   * It subscribes to an event. Events since the cursor are delivered first, then the live events.
+   * WebSocket and IPC providers use log subscriptions, other providers are polled.
+   *
+   * @param eventName Name of the event.
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from. Defaults to events from the latest block onwards.
+   * @param pollingInterval Optional polling interval in milliseconds for HTTP providers.
+   *
+   * @returns {EventSubscription} Subscription. Its cursor can be stored to resume later.
+   */
+  subscribe(eventName, callback, cursor, pollingInterval) {
+    const oThis = this;
+
+    const subscription = new EventSubscription(oThis, oThis._getEventAbi(eventName), callback, cursor);
+    subscription.start(pollingInterval || DefaultPollingInterval);
+
+    return subscription;
+  }
+
+  /**
+   * It returns ABI of the event.
+   *
+   * @param eventName Name of the event.
+   *
+   * @returns {Object} Event ABI.
+   * @private
+   */
+  _getEventAbi(eventName) {
+    const oThis = this;
+
+    const eventAbi = oThis.jsonInterface.find(function(item) {
+      return item.type === 'event' && item.name === eventName;
+    });
+
+    if (!eventAbi) {
+      throw new Error('Event: ' + eventName + ' is not present in the contract abi.');
+    }
+
+    return eventAbi;
+  }
+
+  /**
+   * It decodes a log into a typed event object.
+   *
+   * @param eventAbi Event ABI.
+   * @param log Raw log.
+   *
+   * @returns {Object} Decoded event.
+   * @private
+   */
+  _decodeLog(eventAbi, log) {
+    const oThis = this;
+
+    const web3Utils = oThis.web3.utils,
+      decoded = oThis.web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1)),
+      returnValues = {};
+
+    eventAbi.inputs.forEach(function(input) {
+      const value = decoded[input.name];
+      if (input.type === 'address') {
+        returnValues[input.name] = web3Utils.toChecksumAddress(value);
+      } else if (/^u?int/.test(input.type)) {
+        returnValues[input.name] = web3Utils.toBN(value);
+      } else {
+        returnValues[input.name] = value;
+      }
+    });
+
+    return {
+      event: eventAbi.name,
+      address: web3Utils.toChecksumAddress(log.address),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      returnValues: returnValues
+    };
+  }
+}
+
+/**
+ * Subscription to an event of a contract.
+ */
+class EventSubscription {
+  /**
+   * Constructor of EventSubscription.
+   *
+   * @param contractEvents ContractEvents object.
+   * @param eventAbi Event ABI.
+   * @param callback Function called with (error, event).
+   * @param cursor Optional cursor to resume from.
+   * @constructor
+   */
+  constructor(contractEvents, eventAbi, callback, cursor) {
+    const oThis = this;
+
+    oThis.contractEvents = contractEvents;
+    oThis.eventAbi = eventAbi;
+    oThis.callback = callback;
+    oThis.cursor = cursor ? Object.assign({}, cursor) : null;
+    oThis.active = false;
+    oThis.pollingTimer = null;
+    oThis.logSubscription = null;
+  }
+
+  /**
+   * It starts delivering events.
+   *
+   * @param pollingInterval Polling interval in milliseconds for HTTP providers.
+   */
+  start(pollingInterval) {
+    const oThis = this;
+
+    const web3 = oThis.contractEvents.web3,
+      supportsSubscriptions = typeof web3.currentProvider.on === 'function';
+
+    oThis.active = true;
+
+    if (!supportsSubscriptions) {
+      oThis._poll(pollingInterval);
+      return;
+    }
+
+    // Live logs are buffered till the events since the cursor are delivered.
+    let bufferedLogs = [];
+    oThis.logSubscription = web3.eth
+      .subscribe('logs', {
+        address: oThis.contractEvents.address,
+        topics: [web3.eth.abi.encodeEventSignature(oThis.eventAbi)]
+      })
+      .on('data', function(log) {
+        if (bufferedLogs) {
+          bufferedLogs.push(log);
+        } else {
+          oThis._deliver([log]);
+        }
+      })
+      .on('error', function(error) {
+        oThis.callback(error);
+      });
+
+    oThis
+      ._catchUp()
+      .then(function() {
+        const logs = bufferedLogs;
+        bufferedLogs = null;
+        oThis._deliver(logs);
+      })
+      .catch(function(error) {
+        oThis.callback(error);
+      });
+  }
+
+  /**
+   * It stops delivering events.
+   */
+  unsubscribe() {
+    const oThis = this;
+
+    oThis.active = false;
+    if (oThis.pollingTimer) {
+      clearTimeout(oThis.pollingTimer);
+      oThis.pollingTimer = null;
+    }
+    if (oThis.logSubscription) {
+      oThis.logSubscription.unsubscribe();
+      oThis.logSubscription = null;
+    }
+  }
+
+  /**
+   * It polls logs since the cursor at the interval.
+   *
+   * @param pollingInterval Polling interval in milliseconds.
+   * @private
+   */
+  _poll(pollingInterval) {
+    const oThis = this;
+
+    oThis
+      ._catchUp()
+      .catch(function(error) {
+        oThis.callback(error);
+      })
+      .then(function() {
+        if (oThis.active) {
+          oThis.pollingTimer = setTimeout(function() {
+            oThis._poll(pollingInterval);
+          }, pollingInterval);
+        }
+      });
+  }
+
+  /**
+   * It delivers events from the cursor up to the latest block and moves the cursor past the latest block.
+   *
+   * @returns Promise object.
+   * @private
+   */
+  async _catchUp() {
+    const oThis = this;
+
+    const web3 = oThis.contractEvents.web3,
+      latestBlock = await web3.eth.getBlockNumber();
+
+    if (!oThis.cursor) {
+      oThis.cursor = { nextBlock: latestBlock, lastLogIndex: -1 };
+    }
+    if (oThis.cursor.nextBlock > latestBlock) {
+      return;
+    }
+
+    const logs = await web3.eth.getPastLogs({
+      fromBlock: oThis.cursor.nextBlock,
+      toBlock: latestBlock,
+      address: oThis.contractEvents.address,
+      topics: [web3.eth.abi.encodeEventSignature(oThis.eventAbi)]
+    });
+
+    oThis._deliver(logs);
+
+    if (oThis.active) {
+      oThis.cursor = { nextBlock: latestBlock + 1, lastLogIndex: -1 };
+    }
+  }
+
+  /**
+   * It delivers logs which are after the cursor, in order, and moves the cursor.
+   *
+   * @param logs Raw logs.
+   * @private
+   */
+  _deliver(logs) {
+    const oThis = this;
+
+    const sortedLogs = logs.slice().sort(function(a, b) {
+      return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+    });
+
+    for (let i = 0; i < sortedLogs.length && oThis.active; i++) {
+      const log = sortedLogs[i],
+        isDelivered =
+          log.blockNumber < oThis.cursor.nextBlock ||
+          (log.blockNumber === oThis.cursor.nextBlock && log.logIndex <= oThis.cursor.lastLogIndex);
+
+      if (log.removed || isDelivered) {
+        continue;
+      }
+
+      oThis.cursor = { nextBlock: log.blockNumber, lastLogIndex: log.logIndex };
+      oThis.callback(null, oThis.contractEvents._decodeLog(oThis.eventAbi, log));
+    }
+  }
+}
+
+module.exports = ContractEvents;
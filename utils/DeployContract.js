@@ -31,19 +31,25 @@ class DeployContract {
    * @param txObject Transaction object.
    * @param web3 Web3 object.
    * @param txOptions Tx options.
+   * @param manifest Optional deployment manifest. Deployment is skipped if manifest has a verified entry.
+   * @param jsonInterface ABI of the contract. It is needed to build the contract instance when deployment is skipped.
+   * @param deploymentId Optional id of the deployment in manifest. Defaults to contract name.
    * @constructor
    */
-  constructor(contractName, txObject, web3, txOptions) {
+  constructor(contractName, txObject, web3, txOptions, manifest, jsonInterface, deploymentId) {
     const oThis = this;
 
     oThis.contractName = contractName;
     oThis.txObject = txObject;
     oThis.txOptions = txOptions;
     oThis.web3 = web3;
+    oThis.manifest = manifest || null;
+    oThis.jsonInterface = jsonInterface || null;
+    oThis.deploymentId = deploymentId || contractName;
   }
 
   /**
-   * It deploys the contract.
+   * It deploys the contract. Response has `skipped` set to true if deployment was skipped as per manifest.
    *
    * @returns Promise object.
    */
@@ -53,6 +59,11 @@ class DeployContract {
     let receipt = null,
       transactionHash = null;
 
+    const deployedContract = await oThis._getDeployedContract();
+    if (deployedContract) {
+      return deployedContract;
+    }
+
     console.log('Deploying contract: ' + oThis.contractName);
 
     let instance = await oThis.txObject
@@ -82,11 +93,69 @@ class DeployContract {
     console.log('Address  :', contractAddress);
     console.log('Gas used :', receipt.gasUsed, '\n');
 
+    if (oThis.manifest) {
+      oThis.manifest.record(oThis.deploymentId, oThis.contractName, receipt, oThis.txObject.encodeABI());
+    }
+
     return Promise.resolve({
       receipt: receipt,
-      instance: instance
+      instance: instance,
+      skipped: false
     });
   }
+
+  /**
+   * It estimates gas required to deploy the contract without broadcasting the transaction.
+   * Estimated gas is 0 if manifest has a verified entry for the contract, as deployment would be skipped.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateGas() {
+    const oThis = this;
+
+    if (oThis.manifest) {
+      const entry = await oThis.manifest.getVerified(oThis.deploymentId, oThis.txObject.encodeABI(), oThis.web3);
+      if (entry) {
+        return 0;
+      }
+    }
+
+    return oThis.txObject.estimateGas(oThis.txOptions);
+  }
+
+  /**
+   * Returns receipt and instance of the contract if manifest has a verified entry for it.
+   *
+   * @returns {Promise<Object|null>} Promise object.
+   * @private
+   */
+  async _getDeployedContract() {
+    const oThis = this;
+
+    if (!oThis.manifest) {
+      return null;
+    }
+
+    const entry = await oThis.manifest.getVerified(oThis.deploymentId, oThis.txObject.encodeABI(), oThis.web3);
+    if (!entry) {
+      return null;
+    }
+
+    if (!oThis.jsonInterface) {
+      return Promise.reject(
+        new Error('ABI of contract ' + oThis.contractName + ' is needed to resume its deployment.')
+      );
+    }
+
+    const receipt = await oThis.web3.eth.getTransactionReceipt(entry.transactionHash),
+      instance = new oThis.web3.eth.Contract(oThis.jsonInterface, entry.address);
+
+    return {
+      receipt: receipt,
+      instance: instance,
+      skipped: true
+    };
+  }
 }
 
 module.exports = DeployContract;
@@ -68,6 +68,17 @@ class TxSender {
 
     return receipt;
   }
+
+  /**
+   * It estimates gas required by the transaction without broadcasting it.
+   *
+   * @returns {Promise<Number>} Estimated gas.
+   */
+  async estimateGas() {
+    const oThis = this;
+
+    return oThis.txObject.estimateGas(oThis.txOptions);
+  }
 }
 
 module.exports = TxSender;